@@ -0,0 +1,145 @@
+/**
+ * Answer Log
+ *
+ * Append-only record of every answer a child gives, so grown-ups can
+ * see which numbers, shapes or feelings are still tricky. Games report
+ * answers through callbacks.ask() and callbacks.answer() (see recorder()),
+ * or whole entries through callbacks.onAnswer(); this module persists them.
+ *
+ * Data shape stored under key "answers":
+ * {
+ *   version: 1,
+ *   profiles: {
+ *     "profile-id": {
+ *       "game-id": [
+ *         {
+ *           at: ISO string,
+ *           itemId: string,          ← what was asked, stable across sessions (e.g. "count-4")
+ *           answer: string | number, ← what the child gave
+ *           correct: boolean,
+ *           attempt: number,         ← 1 for the first try at this item, 2 for the next…
+ *           responseMs: number,      ← time from the item appearing (or the previous try) to this answer
+ *           skills: string[]         ← skill ids this item practises (see skills.js)
+ *         }
+ *       ]
+ *     }
+ *   }
+ * }
+ *
+ * Each list keeps only the newest MAX_PER_GAME entries. When storage
+ * is full, the log is the first thing trimmed (pruner priority 0).
+ */
+
+import { Storage, createStore, dropOlderHalf } from './storage.js';
+
+const KEY = 'answers';
+const VERSION = 1;
+const MAX_PER_GAME = 500;
+
+const { load: loadData, mutate } = createStore(KEY, VERSION, 'Answers', () => ({ profiles: {} }));
+
+/** Coerce what a game reported into the stored schema; null if it can't be. */
+function normalize(entry) {
+  if (!entry || entry.itemId === undefined || typeof entry.correct !== 'boolean') return null;
+  return {
+    at: new Date().toISOString(),
+    itemId: String(entry.itemId),
+    answer: typeof entry.answer === 'number' ? entry.answer : String(entry.answer ?? ''),
+    correct: entry.correct,
+    attempt: Math.max(1, Math.round(Number(entry.attempt) || 1)),
+    responseMs: Math.max(0, Math.round(Number(entry.responseMs) || 0)),
+    skills: Array.isArray(entry.skills) ? entry.skills.map(String) : [],
+  };
+}
+
+// When storage is full, drop the older half of every list
+Storage.addPruner(KEY, dropOlderHalf(data => Object.values(data.profiles || {}).flatMap(Object.values)), 0);
+
+export const AnswerLog = {
+  schemaVersion: VERSION,
+
+  /** Append one answer. Entries missing itemId or correct are dropped with a warning. */
+  async record(profileId, gameId, entry) {
+    const row = normalize(entry);
+    if (!row) {
+      console.warn(`[Answers] ignoring malformed answer from ${gameId}:`, entry);
+      return null;
+    }
+    const saved = await mutate(data => {
+      const games = data.profiles[profileId] || (data.profiles[profileId] = {});
+      const list = games[gameId] || (games[gameId] = []);
+      list.push(row);
+      if (list.length > MAX_PER_GAME) list.splice(0, list.length - MAX_PER_GAME);
+      return row;
+    });
+    return saved || null;
+  },
+
+  /**
+   * The ask/answer pair behind a game's callbacks. ask(itemId, { skills,
+   * attempt }) names the item now on screen (attempt: tries already made,
+   * e.g. from a snapshot); answer(answer, correct) times and numbers one
+   * try, passes the entry to `report`, and returns the try's number.
+   */
+  recorder(report) {
+    let item = null;
+    return {
+      ask(itemId, { skills = [], attempt = 0 } = {}) {
+        item = { itemId, skills, attempt, askedAt: Date.now() };
+      },
+      answer(answer, correct) {
+        if (!item) {
+          console.warn('[Answers] answer() called before ask()');
+          return 0;
+        }
+        const now = Date.now();
+        item.attempt++;
+        report({
+          itemId: item.itemId,
+          answer,
+          correct,
+          attempt: item.attempt,
+          responseMs: now - item.askedAt,
+          skills: item.skills,
+        });
+        item.askedAt = now;
+        return item.attempt;
+      },
+    };
+  },
+
+  /** Oldest first. */
+  async get(profileId, gameId) {
+    const data = await loadData();
+    return data.profiles[profileId]?.[gameId] || [];
+  },
+
+  /** { gameId: entries } for one profile. */
+  async getAll(profileId) {
+    const data = await loadData();
+    return data.profiles[profileId] || {};
+  },
+
+  /** Forget a deleted profile's answers. Resolves to them, for restoreProfile(). */
+  async removeProfile(profileId) {
+    const games = await mutate(data => {
+      const removed = data.profiles[profileId];
+      if (!removed) return;
+      delete data.profiles[profileId];
+      return removed;
+    });
+    return games || null;
+  },
+
+  /** Undo removeProfile(). Anything logged in between is kept, after the restored entries. */
+  async restoreProfile(profileId, games) {
+    const ok = await mutate(data => {
+      const current = data.profiles[profileId] || (data.profiles[profileId] = {});
+      for (const [gameId, list] of Object.entries(games)) {
+        current[gameId] = [...list, ...(current[gameId] || [])].slice(-MAX_PER_GAME);
+      }
+      return true;
+    });
+    return ok === true;
+  }
+};
@@ -3,13 +3,33 @@
  *
  * Entry point. Handles screen navigation and ties the platform together.
  * Screens: welcome → menu → category → game
+ * Child-facing screens have routes (see router.js), so Back and
+ * bookmarks work; grown-up screens are only reached through the gate.
  *
  * To add a new game, just import its file here (it self-registers).
  */
 
+import { Storage } from './storage.js';
+import { Migrations } from './migrations.js';
 import { ProfileManager } from './profile.js';
 import { ProgressManager } from './progress.js';
+import { AnswerLog } from './answers.js';
+import { Insights } from './insights.js';
+import { Skills, Mastery } from './skills.js';
+import { Difficulty } from './difficulty.js';
+import { Sessions } from './sessions.js';
+import { ScreenTime } from './screen-time.js';
+import { Stickers } from './stickers.js';
+import { Snapshots } from './snapshots.js';
+import { Charts } from './charts.js';
 import { GameRegistry } from './registry.js';
+import { Router } from './router.js';
+import { Scheduler } from './scheduler.js';
+import { Backup } from './backup.js';
+import { ApiAdapter } from './sync.js';
+import { EncryptedAdapter } from './encryption.js';
+import { ParentalGate } from './parental-gate.js';
+import { Diagnostics } from './diagnostics.js';
 import { Audio } from './audio.js';
 
 // ── Import games (each self-registers with GameRegistry) ──
@@ -33,6 +53,18 @@ function esc(str) {
 }
 
 let activeGame = null;
+let activeProfile = null;   // profile the running game was launched for
+let activeScheduler = null; // the running game's callbacks.scheduler
+let encryption = null;      // EncryptedAdapter while a passphrase lock is on
+let timeWatch = null;       // interval checking the running game's screen time
+let pendingRender = null;   // the fade-in render showScreen() is waiting to run
+let paused = false;         // the running game is on hold (tab hidden, device asleep)
+
+// ── Optional backend sync ──
+// Set to a server URL (e.g. 'http://localhost:8787' for
+// tools/mock-sync-server.js) to sync profiles and progress.
+// The origin must also be allowed in vercel.json's connect-src.
+const SYNC_URL = null;
 
 // ═══════════════════════════════════════════
 //  Screen transitions
@@ -40,14 +72,30 @@ let activeGame = null;
 
 function showScreen(renderFn) {
   // Tear down any running game
+  Sessions.end('navigate');   // no-op unless a game session is open
+  clearInterval(timeWatch);
+  timeWatch = null;
+  if (paused) {
+    paused = false;
+    Audio.resume();
+  }
   if (activeGame) {
-    activeGame.destroy();
+    const game = activeGame;
+    const profile = activeProfile;
+    const scheduler = activeScheduler;
     activeGame = null;
+    activeProfile = null;
+    activeScheduler = null;
+    saveSnapshot(game, profile);                     // while the game still knows where it is
+    guard(game, 'destroy', () => game.destroy());   // a throw here mustn't stop navigation
+    scheduler.cancelAll();                           // whatever the game left behind
   }
 
-  // Fade out, swap content, fade in
+  // Fade out, swap content, fade in. A newer screen (e.g. Back pressed
+  // quickly) replaces one that hasn't rendered yet.
   app.style.opacity = '0';
-  setTimeout(() => {
+  clearTimeout(pendingRender);
+  pendingRender = setTimeout(() => {
     app.innerHTML = '';
     renderFn(app);
     void app.offsetHeight; // force reflow
@@ -59,9 +107,95 @@ function showScreen(renderFn) {
 //  Welcome Screen (first-time setup)
 // ═══════════════════════════════════════════
 
-function renderWelcome() {
-  const avatars = ['\u{1F984}', '\u{1F438}', '\u{1F98A}', '\u{1F431}', '\u{1F436}', '\u{1F98B}', '\u{1F43C}', '\u{1F308}'];
+const AVATARS = ProfileManager.avatars;
+
+/** Markup for the avatar picker, with `selected` highlighted. */
+function avatarPickerHTML(selected = AVATARS[0]) {
+  return `
+    <div class="avatar-picker">
+      <p class="avatar-label">Pick a friend:</p>
+      <div class="avatar-options">
+        ${AVATARS.map(a =>
+          `<button class="avatar-btn${a === selected ? ' selected' : ''}" data-avatar="${a}">${a}</button>`
+        ).join('')}
+      </div>
+    </div>`;
+}
+
+/** Wire up the picker inside `root`; `onPick(avatar)` runs on each choice. */
+function bindAvatarPicker(root, onPick) {
+  const buttons = $$('.avatar-picker .avatar-btn', root);
+  buttons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      buttons.forEach(b => b.classList.remove('selected'));
+      btn.classList.add('selected');
+      onPick(btn.dataset.avatar);
+      Audio.click();
+    });
+  });
+}
+
+const AGES = [3, 4, 5, 6, 7, 8, 9];
+
+/** Markup for the optional age chips; tapping the selected one clears it. */
+function agePickerHTML(selected = null) {
+  return `
+    <div class="age-picker">
+      <p class="avatar-label">How old are you? <span class="age-optional">(optional)</span></p>
+      <div class="avatar-options">
+        ${AGES.map(a =>
+          `<button class="age-btn${a === selected ? ' selected' : ''}" data-age="${a}">${a}</button>`
+        ).join('')}
+      </div>
+    </div>`;
+}
 
+/** Wire up the age chips inside `root`; `onPick(age | null)` runs on each change. */
+function bindAgePicker(root, onPick) {
+  const buttons = $$('.age-btn', root);
+  buttons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      const wasSelected = btn.classList.contains('selected');
+      buttons.forEach(b => b.classList.remove('selected'));
+      if (!wasSelected) btn.classList.add('selected');
+      onPick(wasSelected ? null : Number(btn.dataset.age));
+      Audio.click();
+    });
+  });
+}
+
+function birthYearFor(age) {
+  return age === null ? null : new Date().getFullYear() - age;
+}
+
+/** Highlight menu and game tiles that suit the profile's age; fade the rest. */
+function markAgeFit(profile) {
+  const age = ProfileManager.filterAgeOf(profile);
+  const mark = (tile, fits) => {
+    tile.classList.toggle('tile-for-age', age !== null && fits);
+    tile.classList.toggle('tile-out-of-age', !fits);
+  };
+  $$('.category-tile').forEach(tile => {
+    mark(tile, GameRegistry.getByCategory(tile.dataset.category).some(g => GameRegistry.fitsAge(g, age)));
+  });
+  $$('.game-tile').forEach(tile => {
+    mark(tile, GameRegistry.fitsAge(GameRegistry.get(tile.dataset.game), age));
+  });
+}
+
+/** Fill each menu tile's mastery meter for `profile` (empty until a skill is practised). */
+async function showMastery(profile) {
+  for (const tile of $$('.category-tile')) {
+    const level = await Mastery.categoryLevel(profile.id, tile.dataset.category);
+    const meter = $('.category-mastery', tile);
+    if (!meter) continue;
+    const color = GameRegistry.getCategoryInfo(tile.dataset.category)?.color;
+    meter.innerHTML = level === null ? '' : Charts.meter(level, 1, { color });
+    meter.title = level === null ? '' : `Mastery ${Math.round(level * 100)}%`;
+  }
+}
+
+function renderWelcome() {
   showScreen(container => {
     container.innerHTML = `
       <div class="screen welcome-screen">
@@ -71,41 +205,30 @@ function renderWelcome() {
         <div class="welcome-input-group">
           <input type="text" id="name-input" class="name-input"
                  placeholder="Type your name..." maxlength="20" autocomplete="off">
-          <div class="avatar-picker">
-            <p class="avatar-label">Pick a friend:</p>
-            <div class="avatar-options">
-              ${avatars.map((a, i) =>
-                `<button class="avatar-btn${i === 0 ? ' selected' : ''}" data-avatar="${a}">${a}</button>`
-              ).join('')}
-            </div>
-          </div>
+          ${avatarPickerHTML()}
+          ${agePickerHTML()}
           <button class="btn btn-primary btn-large" id="start-btn" disabled>Let's Play!</button>
         </div>
       </div>`;
 
     const nameInput = $('#name-input');
     const startBtn = $('#start-btn');
-    let selectedAvatar = avatars[0];
+    let selectedAvatar = AVATARS[0];
+    let selectedAge = null;
 
     nameInput.addEventListener('input', () => {
       startBtn.disabled = nameInput.value.trim().length === 0;
     });
 
-    $$(`.avatar-btn`).forEach(btn => {
-      btn.addEventListener('click', () => {
-        $$(`.avatar-btn`).forEach(b => b.classList.remove('selected'));
-        btn.classList.add('selected');
-        selectedAvatar = btn.dataset.avatar;
-        Audio.click();
-      });
-    });
+    bindAvatarPicker(container, avatar => { selectedAvatar = avatar; });
+    bindAgePicker(container, age => { selectedAge = age; });
 
     startBtn.addEventListener('click', async () => {
       const name = nameInput.value.trim();
       if (!name) return;
       Audio.success();
-      await ProfileManager.createProfile(name, selectedAvatar);
-      renderMenu();
+      await ProfileManager.createProfile(name, selectedAvatar, { birthYear: birthYearFor(selectedAge) });
+      Router.replace('/menu');
     });
 
     // Auto-focus on desktop
@@ -119,7 +242,13 @@ function renderWelcome() {
 
 async function renderMenu() {
   const profile = await ProfileManager.getActiveProfile();
-  if (!profile) return renderWelcome();
+  if (!profile) return (await ProfileManager.getAllProfiles()).length ? renderPicker() : renderWelcome();
+
+  // Back among the children: grown-up actions need the gate again
+  ParentalGate.close();
+
+  const time = await ScreenTime.status(profile);
+  if (time.state === 'over') return Router.replace('/goodbye');
 
   const cats = GameRegistry.getCategories();
 
@@ -127,6 +256,7 @@ async function renderMenu() {
     container.innerHTML = `
       <div class="screen menu-screen">
         <div class="menu-header">
+          <button class="sticker-book-btn" id="sticker-book-btn" aria-label="My sticker book">\u{1F4D2}</button>
           <button class="profile-badge" id="profile-badge">
             <span class="profile-avatar">${profile.avatar}</span>
             <span class="profile-name">Hi, ${esc(profile.name)}!</span>
@@ -140,77 +270,851 @@ async function renderMenu() {
                     style="--cat-color: ${cat.color}">
               <span class="category-icon">${cat.icon}</span>
               <span class="category-label">${cat.label}</span>
+              <span class="category-mastery"></span>
             </button>
           `).join('')}
         </div>
       </div>`;
 
+    markAgeFit(profile);
+    showMastery(profile);
+
     // Category tiles
     $$('.category-tile').forEach(tile => {
       tile.addEventListener('click', () => {
         Audio.click();
-        renderCategory(tile.dataset.category);
+        Router.go(`/category/${tile.dataset.category}`);
       });
     });
 
+    $('#sticker-book-btn').addEventListener('click', () => {
+      Audio.pop();
+      Router.go('/stickers');
+    });
+
     // Guard against ghost clicks from game back buttons:
     // don't open the switcher within 400ms of the menu rendering.
     const readyAt = Date.now() + 400;
 
-    $('#profile-badge').addEventListener('click', async () => {
+    $('#profile-badge').addEventListener('click', () => {
       if (Date.now() < readyAt) return;
       Audio.pop();
+      showProfileSwitcher();
+    });
+  });
+}
 
-      // Build overlay dynamically so it's never in the DOM on load
-      const allProfiles = await ProfileManager.getAllProfiles();
-      const overlay = document.createElement('div');
-      overlay.className = 'profile-overlay';
-      overlay.innerHTML = `
-        <div class="profile-card">
-          <div class="profile-card-header">
-            <span class="profile-card-title">Who's playing?</span>
-            <button class="profile-card-close">\u{2715}</button>
-          </div>
-          <div class="profile-list">
-            ${allProfiles.map(p => `
-              <button class="profile-item${p.id === profile.id ? ' profile-active' : ''}" data-id="${p.id}">
+/** No one is playing yet (the active player was deleted): everyone picks themselves. */
+function renderPicker() {
+  showScreen(container => {
+    container.innerHTML = `
+      <div class="screen welcome-screen picker-screen">
+        <div class="welcome-character">\u{1F31F}</div>
+      </div>`;
+    showProfileSwitcher();   // picking someone re-renders via "profile-changed"
+  });
+}
+
+/**
+ * The "Who's playing?" overlay, with the gated grown-up actions
+ * underneath. With no active player it can't be closed: someone
+ * has to pick themselves.
+ */
+async function showProfileSwitcher() {
+  // Build overlay dynamically so it's never in the DOM on load
+  const current = await ProfileManager.getActiveProfile();
+  const allProfiles = await ProfileManager.getAllProfiles();
+  const overlay = document.createElement('div');
+  overlay.className = 'profile-overlay';
+  overlay.innerHTML = `
+    <div class="profile-card">
+      <div class="profile-card-header">
+        <span class="profile-card-title">Who's playing?</span>
+        ${current ? '<button class="profile-card-close">\u{2715}</button>' : ''}
+      </div>
+      <div class="profile-list">
+        ${allProfiles.map(p => `
+          <button class="profile-item${p.id === current?.id ? ' profile-active' : ''}" data-id="${p.id}">
+            <span class="profile-item-avatar">${p.avatar}</span>
+            <span class="profile-item-name">${esc(p.name)}</span>
+            ${p.id === current?.id ? '<span class="profile-item-check">\u{2714}</span>' : ''}
+          </button>
+        `).join('')}
+      </div>
+      <button class="profile-add-btn">\u{2795} Add Player</button>
+      <button class="profile-link-btn" id="profile-dashboard-btn">\u{1F4CA} Grown-up Dashboard</button>
+      <button class="profile-link-btn" id="profile-manage-btn">\u{270F}\u{FE0F} Manage Players</button>
+      <button class="profile-link-btn" id="profile-data-btn">\u{1F4BE} Data &amp; Privacy</button>
+    </div>`;
+
+  const close = () => overlay.remove();
+
+  overlay.querySelector('.profile-card-close')?.addEventListener('click', () => {
+    Audio.click();
+    close();
+  });
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay && current) { Audio.click(); close(); }
+  });
+
+  overlay.querySelectorAll('.profile-item').forEach(item => {
+    item.addEventListener('click', async () => {
+      Audio.pop();
+      const picked = allProfiles.find(p => p.id === item.dataset.id);
+      if (picked.id !== current?.id && ProfileManager.needsPictures(picked)) {
+        // With no one to return to, backing out of the pictures goes back to the list
+        const back = current ? close : () => { close(); showProfileSwitcher(); };
+        showPictureLogin(overlay.querySelector('.profile-card'), picked, close, back);
+        return;
+      }
+      await ProfileManager.setActiveProfile(picked.id);
+      close();   // the badge updates itself via "profile-changed"
+    });
+  });
+
+  overlay.querySelector('.profile-add-btn').addEventListener('click', async () => {
+    Audio.click();
+    close();
+    if (await ParentalGate.request('add a player')) renderWelcome();
+  });
+
+  overlay.querySelector('#profile-dashboard-btn').addEventListener('click', async () => {
+    Audio.click();
+    close();
+    if (await ParentalGate.request('see how everyone is doing')) Router.go(`/dashboard/${(current || allProfiles[0]).id}`);
+  });
+
+  overlay.querySelector('#profile-manage-btn').addEventListener('click', async () => {
+    Audio.click();
+    close();
+    if (await ParentalGate.request('change or remove players')) Router.go('/players');
+  });
+
+  overlay.querySelector('#profile-data-btn').addEventListener('click', async () => {
+    Audio.click();
+    close();
+    if (await ParentalGate.request('open backups and privacy')) Router.go('/data');
+  });
+
+  app.appendChild(overlay);
+}
+
+/**
+ * Swap the switcher card for a picture-password pad. The child taps
+ * their pictures in order; a wrong sequence wiggles and starts over.
+ * `close` runs once they're in, `cancel` if they back out.
+ */
+function showPictureLogin(card, profile, close, cancel = close) {
+  const length = profile.picturePassword.length;
+  let tapped = [];
+
+  card.innerHTML = `
+    <div class="profile-card-header">
+      <span class="profile-card-title">${profile.avatar} ${esc(profile.name)}</span>
+      <button class="profile-card-close">\u{2715}</button>
+    </div>
+    <p class="picture-login-hint">Tap your secret pictures!</p>
+    <div class="picture-dots">
+      ${profile.picturePassword.map(() => '<span class="picture-dot"></span>').join('')}
+    </div>
+    <div class="picture-grid">
+      ${AVATARS.map(a => `<button class="avatar-btn picture-btn" data-picture="${a}">${a}</button>`).join('')}
+    </div>`;
+
+  const dots = card.querySelectorAll('.picture-dot');
+  const grid = card.querySelector('.picture-grid');
+
+  card.querySelector('.profile-card-close').addEventListener('click', () => {
+    Audio.click();
+    cancel();
+  });
+
+  card.querySelectorAll('.picture-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (tapped.length >= length) return;
+      Audio.pop();
+      tapped.push(btn.dataset.picture);
+      dots[tapped.length - 1].classList.add('filled');
+      if (tapped.length < length) return;
+
+      if (await ProfileManager.setActiveProfile(profile.id, tapped)) {
+        Audio.success();
+        close();
+        return;
+      }
+      Audio.gentle();
+      grid.classList.add('picture-wrong');
+      setTimeout(() => {
+        grid.classList.remove('picture-wrong');
+        dots.forEach(d => d.classList.remove('filled'));
+        tapped = [];
+      }, 600);
+    });
+  });
+}
+
+// ═══════════════════════════════════════════
+//  Grown-up Dashboard (progress & insights)
+// ═══════════════════════════════════════════
+
+function percent(rate) {
+  return rate === null ? '\u{2014}' : `${Math.round(rate * 100)}%`;
+}
+
+function shortDate(iso) {
+  return iso ? new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) : 'Never';
+}
+
+/** A logged mix-up in words, via the game's optional describeMiss() hook. */
+function describeMiss(game, itemId, answer) {
+  const words = game && guard(game, 'describeMiss', () => game.describeMiss?.(itemId, answer), null);
+  return words || `answered ${answer} for ${itemId}`;
+}
+
+async function renderDashboard(profileId) {
+  const profiles = await ProfileManager.getAllProfiles();
+  const profile = profiles.find(p => p.id === profileId) || profiles[0];
+  if (!profile) return Router.replace('/menu');
+
+  const progress = await ProgressManager.getAllProgress(profile.id);
+  const answers = await AnswerLog.getAll(profile.id);
+  const mastery = await Mastery.getAll(profile.id);
+  const playtime = await Sessions.daily(profile.id, 7);
+  const weekMinutes = playtime.map(d => Math.round(d.ms / 60000));
+  const skills = Object.entries(mastery)
+    .map(([id, m]) => ({ ...m, skill: Skills.get(id) }))
+    .filter(s => s.skill)
+    .sort((a, b) => b.level - a.level);
+  const games = GameRegistry.getAll().filter(g => progress[g.id] || answers[g.id]);
+
+  const allAnswers = Object.values(answers).flat();
+  const overall = Insights.accuracy(allAnswers);
+  const misses = Object.entries(answers)
+    .flatMap(([gameId, entries]) =>
+      Insights.mostMissed(entries).map(miss => ({ ...miss, game: GameRegistry.get(gameId) })))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 6);
+
+  showScreen(container => {
+    container.innerHTML = `
+      <div class="screen dashboard-screen">
+        <div class="screen-header">
+          <button class="btn btn-back" id="back-btn">\u{2190} Back</button>
+          <h2 class="screen-title">\u{1F4CA} Dashboard</h2>
+        </div>
+
+        <div class="dash-players">
+          ${profiles.map(p => `
+            <button class="backup-mode-btn dash-player${p.id === profile.id ? ' selected' : ''}" data-id="${p.id}">
+              ${p.avatar} ${esc(p.name)}
+            </button>`).join('')}
+        </div>
+
+        <div class="backup-card">
+          <h3 class="backup-card-title">${profile.avatar} ${esc(profile.name)}</h3>
+          ${overall.total ? `
+            <p class="backup-card-text">Right first time: <strong>${percent(overall.rate)}</strong>
+              of ${overall.total} question${overall.total === 1 ? '' : 's'}</p>
+            ${Charts.meter(overall.correct, overall.total, { width: 200 })}` : `
+            <p class="backup-card-text">No answers logged yet. Insights appear after a few games.</p>`}
+        </div>
+
+        <div class="backup-card">
+          <h3 class="backup-card-title">Playtime</h3>
+          <p class="backup-card-text">Today: <strong>${weekMinutes.at(-1)} min</strong>
+            \u{00B7} Last 7 days: <strong>${weekMinutes.reduce((a, b) => a + b, 0)} min</strong></p>
+          ${Charts.line(weekMinutes, {
+            max: Math.max(10, ...weekMinutes),
+            color: '#00B894',
+            labels: [shortDate(playtime[0].day + 'T12:00'), 'Today'],
+          })}
+        </div>
+
+        ${skills.length ? `
+          <div class="backup-card">
+            <h3 class="backup-card-title">Skills</h3>
+            <ul class="dash-skills">
+              ${skills.map(s => `
+                <li class="dash-skill">
+                  <span class="dash-skill-label">${s.skill.label}</span>
+                  ${Charts.meter(s.level, 1, { color: GameRegistry.getCategoryInfo(s.skill.category)?.color })}
+                  <span class="dash-sub">${s.level >= Mastery.threshold ? 'Got it' : s.seen < 5 ? 'Just started' : 'Learning'}</span>
+                </li>`).join('')}
+            </ul>
+          </div>` : ''}
+
+        ${misses.length ? `
+          <div class="backup-card">
+            <h3 class="backup-card-title">Keeps mixing up</h3>
+            <ul class="dash-misses">
+              ${misses.map(m => `
+                <li class="dash-miss">
+                  <span class="dash-miss-game">${m.game?.thumbnail || ''}</span>
+                  <span class="dash-miss-text">${esc(describeMiss(m.game, m.itemId, m.answer))}</span>
+                  <span class="dash-miss-count">${m.count}\u{00D7}</span>
+                </li>`).join('')}
+            </ul>
+          </div>` : ''}
+
+        ${games.map(game => {
+          const p = progress[game.id] || {};
+          const entries = answers[game.id] || [];
+          const days = Insights.dailyAccuracy(entries);
+          return `
+            <div class="backup-card dash-game">
+              <h3 class="backup-card-title">${game.thumbnail} ${game.title}</h3>
+              <dl class="dash-stats">
+                <dt>Sessions</dt>    <dd>${p.sessionsPlayed ?? 0}</dd>
+                <dt>Level</dt>       <dd>${p.currentLevel ?? 1} <span class="dash-sub">(best ${p.bestLevel ?? 1})</span></dd>
+                <dt>Last played</dt> <dd>${shortDate(p.lastPlayed)}</dd>
+                <dt>Right first time</dt> <dd>${percent(Insights.accuracy(entries).rate)}</dd>
+              </dl>
+              ${days.length > 1 ? `
+                <div class="dash-trend">
+                  <span class="dash-sub">Day by day</span>
+                  ${Charts.line(days.map(d => d.rate), { labels: [shortDate(days[0].day + 'T12:00'), shortDate(days.at(-1).day + 'T12:00')] })}
+                </div>` : ''}
+            </div>`;
+        }).join('')}
+      </div>`;
+
+    $('#back-btn').addEventListener('click', () => {
+      Audio.click();
+      Router.back('/menu');
+    });
+
+    $$('.dash-player').forEach(btn => {
+      btn.addEventListener('click', () => {
+        Audio.click();
+        Router.replace(`/dashboard/${btn.dataset.id}`);
+      });
+    });
+  });
+}
+
+// ═══════════════════════════════════════════
+//  Manage Players (rename, avatar, delete)
+// ═══════════════════════════════════════════
+
+const UNDO_MS = 8000;
+const DAILY_LIMITS = [15, 20, 30, 45, 60, 90, 120];
+
+async function renderPlayers() {
+  const profiles = await ProfileManager.getAllProfiles();
+
+  showScreen(container => {
+    container.innerHTML = `
+      <div class="screen players-screen">
+        <div class="screen-header">
+          <button class="btn btn-back" id="back-btn">\u{2190} Back</button>
+          <h2 class="screen-title">\u{270F}\u{FE0F} Players</h2>
+        </div>
+        <div class="players-list">
+          ${profiles.map(p => `
+            <div class="player-row" data-id="${p.id}">
+              <div class="player-summary">
                 <span class="profile-item-avatar">${p.avatar}</span>
                 <span class="profile-item-name">${esc(p.name)}</span>
-                ${p.id === profile.id ? '<span class="profile-item-check">\u{2714}</span>' : ''}
-              </button>
-            `).join('')}
-          </div>
-          <button class="profile-add-btn">\u{2795} Add Player</button>
-        </div>`;
+                ${p.birthYear ? `<span class="player-age">age ${ProfileManager.ageOf(p)}</span>` : ''}
+                <button class="backup-mode-btn player-edit">Edit</button>
+                <button class="backup-mode-btn player-delete">Delete</button>
+              </div>
+              <div class="player-editor" hidden>
+                <input type="text" class="name-input player-name" value="${esc(p.name)}"
+                       maxlength="20" autocomplete="off">
+                ${avatarPickerHTML(p.avatar)}
+                ${agePickerHTML(ProfileManager.ageOf(p))}
+                <div class="picture-setter">
+                  <p class="avatar-label">Secret pictures for logging in <span class="age-optional">(2 or 3, optional)</span></p>
+                  <div class="picture-chosen"></div>
+                  <div class="picture-grid">
+                    ${AVATARS.map(a => `<button class="avatar-btn picture-btn" data-picture="${a}">${a}</button>`).join('')}
+                  </div>
+                  <button class="backup-mode-btn picture-clear">Clear</button>
+                </div>
+                <label class="player-all-ages">
+                  <input type="checkbox" class="player-all-ages-input"${p.showAllAges ? ' checked' : ''}>
+                  Show every game, whatever the age
+                </label>
+                <div class="player-screen-time">
+                  <p class="avatar-label">Screen time <span class="age-optional">(optional)</span></p>
+                  <label class="player-time-row">
+                    Play up to
+                    <select class="player-limit">
+                      <option value="">no limit</option>
+                      ${DAILY_LIMITS.map(m =>
+                        `<option value="${m}"${p.dailyLimitMin === m ? ' selected' : ''}>${m} minutes</option>`
+                      ).join('')}
+                    </select>
+                    a day
+                  </label>
+                  <label class="player-time-row">
+                    <input type="checkbox" class="player-bedtime-on"${p.bedtime ? ' checked' : ''}>
+                    Bedtime from
+                    <input type="time" class="player-bedtime-from" value="${p.bedtime?.from || '19:30'}">
+                    to
+                    <input type="time" class="player-bedtime-to" value="${p.bedtime?.to || '07:00'}">
+                  </label>
+                </div>
+                <div class="backup-mode">
+                  <button class="btn btn-primary player-save">Save</button>
+                  <button class="backup-mode-btn player-cancel">Cancel</button>
+                </div>
+              </div>
+            </div>
+          `).join('')}
+          ${profiles.length === 0 ? '<p class="backup-card-text">No players yet.</p>' : ''}
+        </div>
+      </div>`;
+
+    $('#back-btn').addEventListener('click', () => {
+      Audio.click();
+      Router.back('/menu');
+    });
+
+    $$('.player-row').forEach(row => {
+      const id = row.dataset.id;
+      const editor = $('.player-editor', row);
+      const nameInput = $('.player-name', row);
+      const profile = profiles.find(p => p.id === id);
+      let avatar = profile.avatar;
+      let age = ProfileManager.ageOf(profile);
+      let pictures = [...(profile.picturePassword || [])];
+      const saveBtn = $('.player-save', row);
 
-      const close = () => overlay.remove();
+      const showPictures = () => {
+        $('.picture-chosen', row).textContent = pictures.length ? pictures.join(' ') : 'None';
+        saveBtn.disabled = nameInput.value.trim().length === 0 || pictures.length === 1;
+      };
+      showPictures();
 
-      overlay.querySelector('.profile-card-close').addEventListener('click', () => {
+      $$('.picture-btn', row).forEach(btn => {
+        btn.addEventListener('click', () => {
+          if (pictures.length >= 3) return;
+          Audio.pop();
+          pictures.push(btn.dataset.picture);
+          showPictures();
+        });
+      });
+
+      $('.picture-clear', row).addEventListener('click', () => {
         Audio.click();
-        close();
+        pictures = [];
+        showPictures();
       });
 
-      overlay.addEventListener('click', (e) => {
-        if (e.target === overlay) { Audio.click(); close(); }
+      $('.player-edit', row).addEventListener('click', () => {
+        Audio.click();
+        editor.hidden = false;
+        nameInput.focus();
       });
 
-      overlay.querySelectorAll('.profile-item').forEach(item => {
-        item.addEventListener('click', async () => {
-          Audio.pop();
-          await ProfileManager.setActiveProfile(item.dataset.id);
-          close();
-          renderMenu();
+      $('.player-cancel', row).addEventListener('click', () => {
+        Audio.click();
+        renderPlayers();
+      });
+
+      nameInput.addEventListener('input', showPictures);
+
+      bindAvatarPicker(editor, picked => { avatar = picked; });
+      bindAgePicker(editor, picked => { age = picked; });
+
+      saveBtn.addEventListener('click', async () => {
+        const name = nameInput.value.trim();
+        if (!name || pictures.length === 1) return;
+        if (!await ParentalGate.request(`change ${profile.name}`)) return;
+        Audio.success();
+        const from = $('.player-bedtime-from', row).value;
+        const to = $('.player-bedtime-to', row).value;
+        await ProfileManager.updateProfile(id, {
+          name,
+          avatar,
+          birthYear: birthYearFor(age),
+          showAllAges: $('.player-all-ages-input', row).checked,
+          picturePassword: pictures.length ? pictures : null,
+          dailyLimitMin: Number($('.player-limit', row).value) || null,
+          bedtime: $('.player-bedtime-on', row).checked && from && to ? { from, to } : null,
         });
+        renderPlayers();
       });
 
-      overlay.querySelector('.profile-add-btn').addEventListener('click', () => {
+      $('.player-delete', row).addEventListener('click', async () => {
         Audio.click();
-        close();
-        renderWelcome();
+        if (!await ParentalGate.request(`delete ${profile.name}`)) return;
+        const removed = await ProfileManager.deleteProfile(id);
+        if (!removed) return;
+        const games = await ProgressManager.removeProfile(id);
+        const answers = await AnswerLog.removeProfile(id);
+        const skills = await Mastery.removeProfile(id);
+        const sessions = await Sessions.removeProfile(id);
+        const stickers = await Stickers.removeProfile(id);
+        const snapshots = await Snapshots.removeProfile(id);
+        showUndoToast(`${removed.profile.name} was deleted.`, async () => {
+          await ProfileManager.restoreProfile(removed);
+          if (games) await ProgressManager.restoreProfile(id, games);
+          if (answers) await AnswerLog.restoreProfile(id, answers);
+          if (skills) await Mastery.restoreProfile(id, skills);
+          if (sessions) await Sessions.restoreProfile(id, sessions);
+          if (stickers) await Stickers.restoreProfile(id, stickers);
+          if (snapshots) await Snapshots.restoreProfile(id, snapshots);
+          if ($('.players-screen')) renderPlayers();
+        });
+        // Whoever plays next has to pick themselves (and tap their pictures)
+        if (removed.wasActive) Router.replace('/menu');
+        else renderPlayers();
       });
+    });
+  });
+}
+
+/** Short-lived notice with an Undo button. Sits outside #app so it survives screen changes. */
+function showUndoToast(text, undo) {
+  document.querySelector('.undo-toast')?.remove();
+
+  const toast = document.createElement('div');
+  toast.className = 'undo-toast';
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `
+    <span class="undo-toast-text">${esc(text)}</span>
+    <button class="undo-toast-btn">Undo</button>`;
+
+  const timer = setTimeout(() => toast.remove(), UNDO_MS);
+
+  toast.querySelector('.undo-toast-btn').addEventListener('click', () => {
+    clearTimeout(timer);
+    toast.remove();
+    Audio.pop();
+    undo();
+  });
+
+  document.body.appendChild(toast);
+}
+
+// ═══════════════════════════════════════════
+//  Data & Privacy (grown-up screen)
+// ═══════════════════════════════════════════
+
+const BACKUP_STATUS = {
+  new:    'New player',
+  update: 'Already here \u{2014} will be updated',
+  remove: 'Will be removed',
+};
+
+const MIN_PASSPHRASE = 6;
+
+function renderDataScreen() {
+  showScreen(container => {
+    container.innerHTML = `
+      <div class="screen backup-screen">
+        <div class="screen-header">
+          <button class="btn btn-back" id="back-btn">\u{2190} Back</button>
+          <h2 class="screen-title">\u{1F4BE} Data &amp; Privacy</h2>
+        </div>
+
+        <div class="backup-card">
+          <h3 class="backup-card-title">Save a backup</h3>
+          <p class="backup-card-text">Downloads one file with every player and all their progress.
+            Keep it somewhere safe before switching devices or clearing the browser.</p>
+          <button class="btn btn-primary" id="backup-export">Download backup</button>
+        </div>
+
+        <div class="backup-card">
+          <h3 class="backup-card-title">Restore from a backup</h3>
+          <p class="backup-card-text">Pick a backup file. You'll see what changes before anything is saved.</p>
+          <label class="btn btn-back backup-file-label">
+            Choose file\u{2026}
+            <input type="file" id="backup-file" accept="application/json,.json" hidden>
+          </label>
+          <div class="backup-preview" id="backup-preview"></div>
+        </div>
+
+        <div class="backup-card" id="lock-card"></div>
+
+        <div class="backup-card" id="diagnostics-card"></div>
+      </div>`;
+
+    const preview = $('#backup-preview');
+    renderLockCard($('#lock-card'));
+    renderDiagnosticsCard($('#diagnostics-card'));
+
+    $('#back-btn').addEventListener('click', () => {
+      Audio.click();
+      Router.back('/menu');
+    });
+
+    $('#backup-export').addEventListener('click', async () => {
+      Audio.click();
+      if (!await ParentalGate.request('download a backup')) return;
+      await Backup.download();
+    });
+
+    $('#backup-file').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+
+      let backup;
+      try {
+        backup = await Backup.readFile(file);
+      } catch (err) {
+        Audio.gentle();
+        preview.innerHTML = `<p class="backup-message backup-error">${esc(err.message)}</p>`;
+        return;
+      }
+
+      const showPreview = async (mode) => {
+        const changes = await Backup.preview(backup, mode);
+        preview.innerHTML = `
+          <p class="backup-message">Backup from ${esc(new Date(backup.exportedAt).toLocaleDateString())}:</p>
+          <div class="backup-changes">
+            ${changes.map(c => `
+              <div class="backup-change backup-change-${c.status}">
+                <span class="profile-item-avatar">${esc(c.avatar || '')}</span>
+                <span class="backup-change-name">${esc(c.name)}</span>
+                <span class="backup-change-status">${BACKUP_STATUS[c.status]}</span>
+              </div>
+            `).join('')}
+          </div>
+          <div class="backup-mode">
+            <button class="backup-mode-btn${mode === 'merge' ? ' selected' : ''}" data-mode="merge">Add to this device</button>
+            <button class="backup-mode-btn${mode === 'replace' ? ' selected' : ''}" data-mode="replace">Replace everything</button>
+          </div>
+          ${mode === 'replace' ? `<p class="backup-message">Stickers, playtime and answer history aren't in backups, so players who will be removed lose theirs too.</p>` : ''}
+          <button class="btn btn-primary" id="backup-restore">Restore</button>`;
+
+        preview.querySelectorAll('.backup-mode-btn').forEach(btn => {
+          btn.addEventListener('click', () => {
+            Audio.click();
+            showPreview(btn.dataset.mode);
+          });
+        });
+
+        preview.querySelector('#backup-restore').addEventListener('click', async () => {
+          if (!await ParentalGate.request('restore a backup')) return;
+          let ok;
+          try {
+            ok = await Backup.restore(backup, mode);
+          } catch (err) {
+            Audio.gentle();
+            preview.innerHTML = `<p class="backup-message backup-error">${esc(err.message)}</p>`;
+            return;
+          }
+          if (ok) {
+            Audio.success();
+            Router.back('/menu');
+          } else {
+            Audio.gentle();
+            preview.innerHTML = `<p class="backup-message backup-error">Sorry, the backup couldn't be saved on this device.</p>`;
+          }
+        });
+      };
+
+      showPreview('merge');
+    });
+  });
+}
+
+/** Recent errors from games, newest first, with a way to clear them. */
+async function renderDiagnosticsCard(card) {
+  let entries = [];
+  try {
+    entries = (await Diagnostics.getAll()).slice().reverse();
+  } catch (err) {
+    console.error('[App] could not read the problems log:', err);
+  }
+  card.innerHTML = `
+    <h3 class="backup-card-title">Problems log</h3>
+    ${entries.length ? `
+      <p class="backup-card-text">Games that ran into trouble on this device. A game that fails
+        rests until the page is reloaded. Nothing here is sent anywhere.</p>
+      <ul class="diagnostics-list">
+        ${entries.slice(0, 10).map(e => `
+          <li><strong>${esc(GameRegistry.get(e.gameId)?.title || e.gameId || 'App')}</strong>
+            (${esc(e.phase)}, ${shortDate(e.at)}): ${esc(e.message)}</li>`).join('')}
+      </ul>
+      <button class="backup-mode-btn" id="diagnostics-clear">Clear log</button>
+    ` : '<p class="backup-card-text">No problems recorded. \u{1F44D}</p>'}`;
 
-      container.appendChild(overlay);
+  $('#diagnostics-clear', card)?.addEventListener('click', async () => {
+    Audio.click();
+    await Diagnostics.clear();
+    renderDiagnosticsCard(card);
+  });
+}
+
+/** The passphrase-lock section of the Data & Privacy screen. */
+function renderLockCard(card) {
+  if (SYNC_URL) {
+    card.innerHTML = `
+      <h3 class="backup-card-title">\u{1F512} Passphrase lock</h3>
+      <p class="backup-card-text">Not available while backend sync is switched on.</p>`;
+    return;
+  }
+
+  card.innerHTML = encryption ? `
+      <h3 class="backup-card-title">\u{1F512} Passphrase lock is on</h3>
+      <p class="backup-card-text">Players and progress on this device are encrypted. The passphrase is
+        asked for each time the app opens.</p>
+      <input type="password" class="lock-input" id="lock-pass" placeholder="New passphrase" autocomplete="new-password">
+      <input type="password" class="lock-input" id="lock-confirm" placeholder="Type it again" autocomplete="new-password">
+      <div class="backup-mode">
+        <button class="btn btn-primary" id="lock-change">Change passphrase</button>
+        <button class="backup-mode-btn" id="lock-off">Turn lock off</button>
+      </div>
+      <p class="backup-message" id="lock-message"></p>`
+    : `
+      <h3 class="backup-card-title">\u{1F513} Passphrase lock</h3>
+      <p class="backup-card-text">Encrypt players' names and progress on this device with a passphrase
+        only grown-ups know. <strong>If it's forgotten, the data can't be recovered</strong> \u{2014}
+        download a backup first and keep it safe.</p>
+      <input type="password" class="lock-input" id="lock-pass" placeholder="Passphrase" autocomplete="new-password">
+      <input type="password" class="lock-input" id="lock-confirm" placeholder="Type it again" autocomplete="new-password">
+      <button class="btn btn-primary" id="lock-on">Turn lock on</button>
+      <p class="backup-message" id="lock-message"></p>`;
+
+  const message = card.querySelector('#lock-message');
+  const say = (text, isError) => {
+    message.textContent = text;
+    message.classList.toggle('backup-error', Boolean(isError));
+  };
+
+  /** The typed passphrase, or null (with a message) if it can't be used. */
+  const readPassphrase = () => {
+    const pass = card.querySelector('#lock-pass').value;
+    if (pass.length < MIN_PASSPHRASE) {
+      say(`Please use at least ${MIN_PASSPHRASE} characters.`, true);
+      return null;
+    }
+    if (pass !== card.querySelector('#lock-confirm').value) {
+      say('The two passphrases don\'t match.', true);
+      return null;
+    }
+    return pass;
+  };
+
+  if (!encryption) {
+    card.querySelector('#lock-on').addEventListener('click', async () => {
+      const pass = readPassphrase();
+      if (!pass) return Audio.gentle();
+      if (!await ParentalGate.request('turn on the passphrase lock')) return;
+      say('Locking\u{2026}');
+      const inner = Storage.getAdapter();
+      try {
+        encryption = await EncryptedAdapter.enable(inner, pass);
+      } catch (err) {
+        console.error('[Lock] could not turn on:', err);
+        Audio.gentle();
+        return say('Sorry, the lock couldn\'t be turned on. Nothing was changed.', true);
+      }
+      if (inner.clearLocalStorageCopy) await inner.clearLocalStorageCopy();
+      Audio.success();
+      renderLockCard(card);
     });
+    return;
+  }
+
+  card.querySelector('#lock-change').addEventListener('click', async () => {
+    const pass = readPassphrase();
+    if (!pass) return Audio.gentle();
+    if (!await ParentalGate.request('change the passphrase')) return;
+    say('Changing\u{2026}');
+    try {
+      await encryption.changePassphrase(pass);
+    } catch (err) {
+      console.error('[Lock] could not change the passphrase:', err);
+      Audio.gentle();
+      return say('Sorry, the passphrase couldn\'t be changed. The old one still works.', true);
+    }
+    Audio.success();
+    renderLockCard(card);
+  });
+
+  card.querySelector('#lock-off').addEventListener('click', async () => {
+    Audio.click();
+    if (!await ParentalGate.request('turn off the passphrase lock')) return;
+    try {
+      await encryption.disable();
+    } catch (err) {
+      console.error('[Lock] could not turn off:', err);
+      Audio.gentle();
+      return say('Sorry, the lock couldn\'t be turned off. Nothing was changed.', true);
+    }
+    encryption = null;
+    renderLockCard(card);
+  });
+}
+
+// ═══════════════════════════════════════════
+//  Unlock Screen (passphrase lock is on)
+// ═══════════════════════════════════════════
+
+function renderUnlock() {
+  const inner = Storage.getAdapter();
+
+  showScreen(container => {
+    container.innerHTML = `
+      <div class="screen welcome-screen unlock-screen">
+        <div class="welcome-character">\u{1F512}</div>
+        <h1 class="welcome-title">Hello, grown-up!</h1>
+        <p class="welcome-subtitle">Enter the passphrase to open the games.</p>
+        <div class="welcome-input-group">
+          <input type="password" id="unlock-input" class="name-input"
+                 placeholder="Passphrase" autocomplete="current-password">
+          <button class="btn btn-primary btn-large" id="unlock-btn">Unlock</button>
+          <p class="backup-message backup-error" id="unlock-message"></p>
+          <button class="profile-link-btn" id="unlock-forgot">Forgot the passphrase?</button>
+          <div class="backup-card unlock-recovery" id="unlock-recovery" hidden>
+            <p class="backup-card-text">The passphrase can't be recovered \u{2014} that's what keeps the data private.
+              You can erase everything on this device and start fresh, then restore a backup file
+              from <em>Data &amp; Privacy</em> if you have one.</p>
+            <button class="backup-mode-btn" id="unlock-reset">Erase everything and start over</button>
+          </div>
+        </div>
+      </div>`;
+
+    const input = $('#unlock-input');
+    const message = $('#unlock-message');
+
+    const tryUnlock = async () => {
+      if (!input.value) return;
+      try {
+        encryption = await EncryptedAdapter.unlock(inner, input.value);
+      } catch (_) {
+        Audio.gentle();
+        message.textContent = 'That passphrase didn\'t work. Try again.';
+        input.select();
+        return;
+      }
+      Audio.success();
+      Storage.setAdapter(encryption);
+      start();
+    };
+
+    $('#unlock-btn').addEventListener('click', tryUnlock);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') tryUnlock();
+    });
+
+    $('#unlock-forgot').addEventListener('click', () => {
+      Audio.click();
+      $('#unlock-recovery').hidden = false;
+    });
+
+    const resetBtn = $('#unlock-reset');
+    resetBtn.addEventListener('click', async () => {
+      // Two taps: the first only arms the button
+      if (!resetBtn.dataset.armed) {
+        Audio.gentle();
+        resetBtn.dataset.armed = '1';
+        resetBtn.textContent = 'Tap again to erase all players and progress';
+        return;
+      }
+      await EncryptedAdapter.reset(inner);
+      start();
+    });
+
+    setTimeout(() => input.focus(), 300);
   });
 }
 
@@ -218,9 +1122,12 @@ async function renderMenu() {
 //  Category Screen (list games in a category)
 // ═══════════════════════════════════════════
 
-function renderCategory(categoryId) {
+async function renderCategory(categoryId) {
   const catInfo = GameRegistry.getCategoryInfo(categoryId);
+  if (!catInfo) return Router.replace('/menu');
   const gameList = GameRegistry.getByCategory(categoryId);
+  const profile = await ProfileManager.getActiveProfile();
+  if (!profile) return renderWelcome();
 
   showScreen(container => {
     container.innerHTML = `
@@ -231,67 +1138,592 @@ function renderCategory(categoryId) {
         </div>
         <div class="game-grid">
           ${gameList.map(game => `
-            <button class="game-tile" data-game="${game.id}">
+            <button class="game-tile${quarantined.has(game.id) ? ' game-tile-resting' : ''}" data-game="${game.id}"
+                    ${quarantined.has(game.id) ? 'disabled' : ''}>
               <span class="game-thumbnail">${game.thumbnail}</span>
               <span class="game-title">${game.title}</span>
+              ${quarantined.has(game.id) ? '<span class="game-resting">\u{1F527} Resting</span>' : ''}
             </button>
           `).join('')}
         </div>
       </div>`;
 
+    markAgeFit(profile);
+
     $('#back-btn').addEventListener('click', () => {
       Audio.click();
-      renderMenu();
+      Router.back('/menu');
     });
 
     $$('.game-tile').forEach(tile => {
       tile.addEventListener('click', () => {
         Audio.pop();
-        launchGame(tile.dataset.game);
+        Router.go(`/game/${tile.dataset.game}`);
       });
     });
   });
 }
 
+// ═══════════════════════════════════════════
+//  Sticker book
+// ═══════════════════════════════════════════
+
+const PAGE_BACKGROUNDS = ['meadow', 'sea', 'space'];   // see .sticker-page-*
+const STICKER_PAGES = Array.from({ length: Stickers.pages }, (_, i) => PAGE_BACKGROUNDS[i % PAGE_BACKGROUNDS.length]);
+const DRAG_SLOP = 6;   // px a press may wander and still count as a tap
+
+async function renderStickerBook(pageIdx = 0) {
+  const profile = await ProfileManager.getActiveProfile();
+  if (!profile) return renderWelcome();
+  const total = Stickers.catalogue().length;
+
+  showScreen(container => {
+    container.innerHTML = `
+      <div class="screen sticker-screen">
+        <div class="screen-header">
+          <button class="btn btn-back" id="back-btn">\u{2190} Back</button>
+          <h2 class="screen-title">\u{1F4D2} ${esc(profile.name)}'s Stickers</h2>
+        </div>
+        <div class="sticker-book">
+          <button class="sticker-turn" id="sticker-prev" aria-label="Previous page">\u{25C0}</button>
+          <div class="sticker-page" id="sticker-page"></div>
+          <button class="sticker-turn" id="sticker-next" aria-label="Next page">\u{25B6}</button>
+        </div>
+        <div class="sticker-dots" id="sticker-dots"></div>
+        <p class="sticker-count" id="sticker-count"></p>
+        <div class="sticker-tray" id="sticker-tray"></div>
+      </div>`;
+
+    const page = $('#sticker-page');
+    const tray = $('#sticker-tray');
+    const stickerHTML = (key, pos) => {
+      const sticker = Stickers.get(key);
+      if (!sticker) return '';
+      const style = pos ? ` style="left: ${pos.x * 100}%; top: ${pos.y * 100}%"` : '';
+      return `<button class="sticker" data-key="${esc(key)}" title="${esc(sticker.label)}"${style}>${sticker.emoji}</button>`;
+    };
+
+    const draw = async () => {
+      const book = await Stickers.getBook(profile.id);
+      const earned = Object.keys(book.earned);
+      const loose = earned.filter(key => !book.placed[key]);
+
+      page.className = `sticker-page sticker-page-${STICKER_PAGES[pageIdx]}`;
+      page.innerHTML = Object.entries(book.placed)
+        .filter(([, pos]) => pos.page === pageIdx)
+        .map(([key, pos]) => stickerHTML(key, pos))
+        .join('');
+      tray.innerHTML = loose.length
+        ? loose.map(key => stickerHTML(key)).join('')
+        : `<p class="sticker-tray-empty">${earned.length
+            ? 'All your stickers are in the book!'
+            : 'Play games to win stickers!'}</p>`;
+      $('#sticker-count').textContent = `${earned.length} of ${total} stickers collected`;
+      $('#sticker-dots').innerHTML = STICKER_PAGES.map((_, i) =>
+        `<span class="sticker-dot${i === pageIdx ? ' active' : ''}"></span>`
+      ).join('');
+
+      $$('.sticker', page).forEach(el => el.addEventListener('pointerdown', e => dragSticker(e, el, true)));
+      $$('.sticker', tray).forEach(el => el.addEventListener('pointerdown', e => dragSticker(e, el, false)));
+    };
+
+    // Drag a sticker onto the page, around it, or back to the tray.
+    // Tapping a tray sticker drops it somewhere on the current page.
+    const dragSticker = (e, el, onPage) => {
+      e.preventDefault();
+      const key = el.dataset.key;
+      const startX = e.clientX;
+      const startY = e.clientY;
+      const ghost = el.cloneNode(true);
+      ghost.classList.add('sticker-dragging');
+      ghost.style.left = `${startX}px`;
+      ghost.style.top = `${startY}px`;
+      document.body.appendChild(ghost);
+      el.classList.add('sticker-lifted');
+
+      const move = ev => {
+        ghost.style.left = `${ev.clientX}px`;
+        ghost.style.top = `${ev.clientY}px`;
+      };
+      const drop = async ev => {
+        window.removeEventListener('pointermove', move);
+        window.removeEventListener('pointercancel', drop);
+        window.removeEventListener('pointerup', drop);
+        ghost.remove();
+        if (!page.isConnected) return;
+        if (ev.type === 'pointercancel') return draw();
+
+        const tapped = Math.hypot(ev.clientX - startX, ev.clientY - startY) < DRAG_SLOP;
+        const rect = page.getBoundingClientRect();
+        const x = (ev.clientX - rect.left) / rect.width;
+        const y = (ev.clientY - rect.top) / rect.height;
+        const overPage = x >= 0 && x <= 1 && y >= 0 && y <= 1;
+
+        if (tapped && !onPage) {
+          Audio.pop();
+          await Stickers.place(profile.id, key, pageIdx, 0.2 + Math.random() * 0.6, 0.2 + Math.random() * 0.6);
+        } else if (overPage && !tapped) {
+          Audio.pop();
+          await Stickers.place(profile.id, key, pageIdx, x, y);
+        } else if (onPage && !overPage) {
+          Audio.click();
+          await Stickers.unplace(profile.id, key);
+        }
+        draw();
+      };
+
+      window.addEventListener('pointermove', move);
+      window.addEventListener('pointercancel', drop);
+      window.addEventListener('pointerup', drop);
+    };
+
+    const turn = delta => {
+      Audio.click();
+      pageIdx = (pageIdx + delta + STICKER_PAGES.length) % STICKER_PAGES.length;
+      draw();
+    };
+    $('#sticker-prev').addEventListener('click', () => turn(-1));
+    $('#sticker-next').addEventListener('click', () => turn(1));
+
+    $('#back-btn').addEventListener('click', () => {
+      Audio.click();
+      Router.back('/menu');
+    });
+
+    draw();
+  });
+}
+
+/** "New sticker!" pop-up over the game. Lives in #app, so leaving the game removes it. */
+function showStickerToast(sticker) {
+  if (!sticker) return;
+  $('.sticker-toast')?.remove();
+
+  const toast = document.createElement('div');
+  toast.className = 'sticker-toast';
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `
+    <span class="sticker-toast-emoji">${sticker.emoji}</span>
+    <span class="sticker-toast-text"><strong>New sticker!</strong> ${esc(sticker.label)}</span>`;
+  app.appendChild(toast);
+  Audio.celebrate();
+
+  setTimeout(() => toast.remove(), NOTICE_MS);
+}
+
 // ═══════════════════════════════════════════
 //  Launch a game
 // ═══════════════════════════════════════════
 
-async function launchGame(gameId) {
+/** Start a game. `query` comes from the route, e.g. { mode: '5' } for #/game/number-hop?mode=5. */
+async function launchGame(gameId, query = {}) {
   const game = GameRegistry.get(gameId);
-  if (!game) return;
+  if (!game) return Router.replace('/menu');
+  if (quarantined.has(gameId)) return Router.replace(`/oops/${gameId}`);
 
   const profile = await ProfileManager.getActiveProfile();
+  if (!profile) return renderWelcome();
+  const time = await ScreenTime.status(profile);
+  if (time.state === 'over') return Router.replace('/goodbye');
+  const snapshot = await Snapshots.get(profile.id, gameId);
 
   showScreen(container => {
     container.innerHTML = `<div class="screen game-screen" id="game-container"></div>`;
 
     const gameContainer = $('#game-container');
 
+    // Near the end of the child's time: a couple more rounds, then goodbye
+    let windDown = null;   // { roundsLeft, since, reason }
+    const timeUp = () => {
+      Sessions.end('time-up');
+      Router.replace('/goodbye');
+    };
+    const checkTime = async () => {
+      if (paused) return;
+      const { state, reason } = await ScreenTime.status(profile);
+      if (timeWatch !== watch || state === 'ok') return;
+      if (!windDown) {
+        windDown = { roundsLeft: ScreenTime.windDownRounds, since: Date.now(), reason };
+        showWindDownNotice(windDown.roundsLeft);
+      } else if (Date.now() - windDown.since > ScreenTime.windDownMs + ScreenTime.overtimeMs) {
+        timeUp();   // the game hasn't finished a round in all that time
+      }
+    };
+
+    const onAnswer = (entry) => {
+      if (entry?.attempt === 1) Mastery.record(profile.id, entry.skills, entry.correct);
+      return AnswerLog.record(profile.id, gameId, entry);
+    };
+    const answers = AnswerLog.recorder(onAnswer);
+
     // Callbacks the game uses to talk to the platform
     const callbacks = {
-      onExit: () => renderMenu(),
+      onExit: () => {
+        Sessions.end('exit');
+        Router.back('/menu');
+      },
       onProgress: (data) => ProgressManager.updateGameProgress(profile.id, gameId, data),
       getProgress: () => ProgressManager.getGameProgress(profile.id, gameId),
+      onAnswer,
+      ask: answers.ask,
+      answer: answers.answer,
+      difficulty: Difficulty.session(),
+      scheduler: Scheduler.create(),
+      params: { ...query },
+      setParams: (params) => {
+        if (activeGame === game) Router.setQuery(params);
+      },
+      earnSticker: async (id) => {
+        const isNew = await Stickers.earn(profile.id, gameId, id);
+        if (isNew && activeGame === game) showStickerToast(Stickers.get(`${gameId}/${id}`));
+        return isNew;
+      },
+      onRoundComplete: () => {
+        saveSnapshot(game, profile);
+        if (activeGame !== game) return false;   // saveState() threw
+        if (!windDown) {
+          checkTime();
+          return true;
+        }
+        windDown.roundsLeft--;
+        if (windDown.roundsLeft > 0) {
+          showWindDownNotice(windDown.roundsLeft);
+          return true;
+        }
+        timeUp();
+        return false;
+      },
       profile
     };
 
     activeGame = game;
-    game.init(gameContainer, callbacks);
+    activeProfile = profile;
+    activeScheduler = callbacks.scheduler;
+    Sessions.start(profile.id, gameId);
+    ProgressManager.recordSession(profile.id, gameId);
+    timeWatch = setInterval(checkTime, TIME_CHECK_MS);
+    const watch = timeWatch;
+    checkTime();
+    mountGame(game, gameContainer, callbacks, snapshot);
   });
 }
 
+/**
+ * Hand the game its snapshot from last time, if there is one, then
+ * init() it. A snapshot the game can't take is logged and dropped,
+ * and the game starts fresh rather than resting.
+ */
+async function mountGame(game, container, callbacks, snapshot) {
+  if (snapshot && game.restoreState) {
+    try {
+      await game.restoreState(snapshot);
+    } catch (err) {
+      console.error(`[App] ${game.id} could not restore its snapshot:`, err);
+      Diagnostics.record(err, { gameId: game.id, phase: 'restoreState' });
+      Snapshots.clear(callbacks.profile.id, game.id);
+    }
+  }
+  if (activeGame !== game) return;   // the child left while it was restoring
+  guard(game, 'init', () => game.init(container, callbacks));
+}
+
+/** Ask the game where the child is and keep it for next time; null means start fresh. */
+function saveSnapshot(game, profile) {
+  if (!game.saveState || quarantined.has(game.id)) return;
+  const state = guard(game, 'saveState', () => game.saveState());
+  Snapshots.keep(profile.id, game.id, state).catch(err => gameFailed(game, 'saveState', err));
+}
+
+// ═══════════════════════════════════════════
+//  Error boundary
+// ═══════════════════════════════════════════
+
+const quarantined = new Set();   // ids of games that threw; they rest until the page reloads
+
+/**
+ * Run one of a game's hooks. If it throws, the error is logged, the
+ * game is quarantined and, if it was running, replaced by the Oops
+ * screen; the platform carries on and `fallback` is returned.
+ */
+function guard(game, phase, fn, fallback) {
+  try {
+    return fn();
+  } catch (err) {
+    gameFailed(game, phase, err);
+    return fallback;
+  }
+}
+
+function gameFailed(game, phase, err) {
+  console.error(`[App] ${game.id} failed in ${phase}:`, err);
+  Diagnostics.record(err, { gameId: game.id, phase });
+  quarantined.add(game.id);
+  if (activeProfile) Snapshots.clear(activeProfile.id, game.id);   // in case it's what tripped the game
+  if (activeGame === game) {
+    Sessions.end('error');
+    Router.replace(`/oops/${game.id}`);
+  }
+}
+
+// Errors a running game throws later, from its own timers or handlers.
+// Only ones whose stack passes through js/games/ are pinned on the game.
+const fromGameCode = err => /\/js\/games\//.test(String(err?.stack || ''));
+
+window.addEventListener('error', (e) => {
+  if (activeGame && fromGameCode(e.error)) gameFailed(activeGame, 'runtime', e.error);
+});
+
+window.addEventListener('unhandledrejection', (e) => {
+  if (activeGame && fromGameCode(e.reason)) gameFailed(activeGame, 'runtime', e.reason);
+});
+
+function renderOops(game) {
+  showScreen(container => {
+    container.innerHTML = `
+      <div class="screen oops-screen">
+        <div class="oops-character">\u{1F648}</div>
+        <h1 class="oops-title">Oops!</h1>
+        <p class="oops-subtitle">${esc(game.title)} got a little mixed up. Let's go back and pick something else!</p>
+        <button class="btn btn-primary btn-large" id="oops-back">\u{2190} Let's go back</button>
+      </div>`;
+
+    $('#oops-back').addEventListener('click', () => {
+      Audio.click();
+      Router.back('/menu');
+    });
+  });
+}
+
+// ═══════════════════════════════════════════
+//  Screen time: wind-down and goodbye
+// ═══════════════════════════════════════════
+
+const TIME_CHECK_MS = 15000;
+const NOTICE_MS = 5000;
+const EXTRA_MS = 15 * 60000;
+
+/** Friendly "2 more rounds" banner over the game. Lives in #app, so leaving the game removes it. */
+function showWindDownNotice(roundsLeft) {
+  $('.wind-down-notice')?.remove();
+
+  const notice = document.createElement('div');
+  notice.className = 'wind-down-notice';
+  notice.setAttribute('role', 'status');
+  notice.innerHTML = `
+    <span class="wind-down-icon">\u{23F3}</span>
+    <span>${roundsLeft === 1 ? 'Last round!' : `${roundsLeft} more rounds, then it's time to rest!`}</span>`;
+  app.appendChild(notice);
+  Audio.pop();
+
+  setTimeout(() => notice.remove(), NOTICE_MS);
+}
+
+/** Shown instead of the menu once the daily limit or bedtime is reached. */
+function renderGoodbye(profile, reason) {
+  ParentalGate.close();
+  const bedtime = reason === 'bedtime';
+
+  showScreen(container => {
+    container.innerHTML = `
+      <div class="screen goodbye-screen">
+        <div class="goodbye-character">${bedtime ? '\u{1F319}' : '\u{1F44B}'}</div>
+        <h1 class="goodbye-title">${bedtime ? 'Time for bed' : 'All done for today'}, ${esc(profile.name)}!</h1>
+        <p class="goodbye-subtitle">${bedtime
+          ? 'Sweet dreams. Your games will be waiting tomorrow.'
+          : 'Great playing! Come back tomorrow for more.'}</p>
+        <div class="goodbye-actions">
+          <button class="btn btn-back" id="goodbye-switch">\u{1F465} Someone else's turn</button>
+          <button class="profile-link-btn" id="goodbye-more">\u{23F0} Grown-ups: 15 more minutes</button>
+        </div>
+      </div>`;
+
+    $('#goodbye-switch').addEventListener('click', () => {
+      Audio.pop();
+      showProfileSwitcher();   // picking someone re-renders via "profile-changed"
+    });
+
+    $('#goodbye-more').addEventListener('click', async () => {
+      Audio.click();
+      if (!await ParentalGate.request(`give ${profile.name} 15 more minutes`)) return;
+      ScreenTime.extend(profile.id, EXTRA_MS);
+      Router.replace('/menu');
+    });
+  });
+}
+
+// ═══════════════════════════════════════════
+//  Pause & resume (tab hidden, tablet asleep)
+// ═══════════════════════════════════════════
+
+/** Hold the running game and cover it with "Paused — tap to continue". */
+function pauseGame() {
+  if (!activeGame || paused) return;
+  paused = true;
+  const game = activeGame;
+  activeScheduler.pause();
+  guard(game, 'pause', () => game.pause?.());
+  if (activeGame !== game) return;   // pause() threw; the Oops screen is on its way
+  Audio.suspend();
+  $('#game-container')?.classList.add('game-paused');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'pause-overlay';
+  overlay.innerHTML = `
+    <button class="pause-card">
+      <span class="pause-icon">\u{1F634}</span>
+      <span class="pause-title">Paused</span>
+      <span class="pause-sub">Tap to continue</span>
+    </button>`;
+  overlay.addEventListener('click', resumeGame);
+  app.appendChild(overlay);
+
+  // The tablet may never wake this page again
+  saveSnapshot(game, activeProfile);
+}
+
+function resumeGame() {
+  if (!paused) return;
+  paused = false;
+  $('.pause-overlay')?.remove();
+  $('#game-container')?.classList.remove('game-paused');
+  Audio.resume();
+  Audio.pop();
+  const game = activeGame;
+  if (!game) return;
+  activeScheduler.resume();
+  guard(game, 'resume', () => game.resume?.());
+}
+
+// The overlay stays up when the child comes back, so nothing moves until they tap
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) pauseGame();
+});
+window.addEventListener('pagehide', pauseGame);
+
+// ═══════════════════════════════════════════
+//  Live updates (this tab or another one)
+// ═══════════════════════════════════════════
+
+// Keep the menu's profile badge current without re-rendering the menu
+ProfileManager.on('profile-changed', (profile) => {
+  // Someone else's turn, a player picked themselves, or a grown-up changed the limits
+  if ($('.goodbye-screen, .picker-screen')) return Router.replace('/menu');
+  if (profile) {
+    markAgeFit(profile);
+    showMastery(profile);
+  }
+  const badge = $('#profile-badge');
+  if (!badge) return;
+  if (!profile) return renderMenu();   // the picker, or the welcome screen if no one is left
+  $('.profile-avatar', badge).textContent = profile.avatar;
+  $('.profile-name', badge).textContent = `Hi, ${profile.name}!`;
+});
+
+// Keep the manage-players screen in step with edits from another tab
+ProfileManager.on('profiles-updated', ({ external }) => {
+  if (external && $('.players-screen')) renderPlayers();
+});
+
+// Let a running game adopt progress another tab just saved
+ProgressManager.on('progress-updated', async ({ external }) => {
+  if (!external || !activeGame?.onExternalProgress) return;
+  const game = activeGame;
+  const progress = await ProgressManager.getGameProgress(activeProfile.id, game.id);
+  if (activeGame === game) guard(game, 'onExternalProgress', () => game.onExternalProgress(progress));
+});
+
+// ═══════════════════════════════════════════
+//  Storage warning (for grown-ups)
+// ═══════════════════════════════════════════
+
+/** Quiet notice shown when saves only live in memory. Sits outside #app so screen changes keep it. */
+function showStorageBanner() {
+  if (document.querySelector('.storage-banner')) return;
+
+  const banner = document.createElement('div');
+  banner.className = 'storage-banner';
+  banner.setAttribute('role', 'status');
+  banner.innerHTML = `
+    <span class="storage-banner-icon">\u{2139}\u{FE0F}</span>
+    <span class="storage-banner-text">
+      <strong>For grown-ups:</strong> progress isn't being kept on this device right now
+      (storage is full or turned off, e.g. private browsing). Play works, but it will be
+      forgotten when this page closes.
+    </span>
+    <button class="storage-banner-close" aria-label="Dismiss">\u{2715}</button>`;
+
+  banner.querySelector('.storage-banner-close').addEventListener('click', () => {
+    Audio.click();
+    banner.remove();
+  });
+
+  document.body.appendChild(banner);
+}
+
+Storage.onStatusChange(status => {
+  if (!status.persistent) showStorageBanner();
+});
+
+// Saved data this build can't upgrade is left as it is; note it in the problems log
+Migrations.onFailure((err, key) => Diagnostics.record(err, { phase: `upgrading ${key}` }));
+
 // ═══════════════════════════════════════════
 //  Boot
 // ═══════════════════════════════════════════
 
-async function init() {
+/** Render a grown-up screen if the gate is passed (it is still open right after the switcher's), else the menu. */
+async function behindGate(reason, render) {
+  if (await ParentalGate.request(reason)) render();
+  else Router.replace('/menu');
+}
+
+/** The Oops screen for a game resting after an error; the menu once it isn't (e.g. after a reload). */
+function showOops(gameId) {
+  const game = GameRegistry.get(gameId);
+  if (!game || !quarantined.has(gameId)) return Router.replace('/menu');
+  renderOops(game);
+}
+
+/** The goodbye screen for the active player; the menu if their time isn't up after all. */
+async function showGoodbye() {
   const profile = await ProfileManager.getActiveProfile();
-  if (profile) {
-    renderMenu();
+  if (!profile) return Router.replace('/menu');
+  const time = await ScreenTime.status(profile);
+  if (time.state === 'ok') return Router.replace('/menu');
+  renderGoodbye(profile, time.reason);
+}
+
+// Child-facing screens; see router.js
+Router.add('/menu', () => renderMenu());
+Router.add('/category/:id', ({ id }) => renderCategory(id));
+Router.add('/game/:id', ({ id }, query) => launchGame(id, query));
+Router.add('/stickers', () => renderStickerBook());
+Router.add('/oops/:id', ({ id }) => showOops(id));
+Router.add('/goodbye', () => showGoodbye());
+
+// Grown-up screens: Back and Forward reach them too, so each asks the gate
+Router.add('/dashboard/:id', ({ id }) => behindGate('see how everyone is doing', () => renderDashboard(id)));
+Router.add('/players', () => behindGate('change or remove players', renderPlayers));
+Router.add('/data', () => behindGate('open backups and privacy', renderDataScreen));
+
+async function init() {
+  await Storage.init();
+  await EncryptedAdapter.recover(Storage.getAdapter());
+  if (await EncryptedAdapter.isEnabled(Storage.getAdapter())) {
+    renderUnlock();   // continues with start() once unlocked
   } else {
-    renderWelcome();
+    start();
+  }
+}
+
+async function start() {
+  if (!Storage.getStatus().persistent) showStorageBanner();
+  if (SYNC_URL) {
+    const sync = new ApiAdapter({ baseUrl: SYNC_URL, local: Storage.getAdapter() });
+    Storage.setAdapter(sync);
+    await sync.start();
   }
+  Router.start('/menu');   // no profile yet → the menu shows the welcome screen
 }
 
 init();
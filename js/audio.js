@@ -11,6 +11,7 @@
  */
 
 let ctx = null;
+let suspended = false;   // see Audio.suspend()
 
 function getContext() {
   if (!ctx) {
@@ -22,6 +23,7 @@ function getContext() {
 }
 
 function tone(freq, duration, type = 'sine', volume = 0.25) {
+  if (suspended) return;
   try {
     const c = getContext();
     const osc = c.createOscillator();
@@ -71,6 +73,17 @@ export const Audio = {
     });
   },
 
+  /** Silence everything while a game is paused; notes asked for meanwhile are dropped. */
+  suspend() {
+    suspended = true;
+    if (ctx && ctx.state === 'running') ctx.suspend();
+  },
+
+  resume() {
+    suspended = false;
+    if (ctx && ctx.state === 'suspended') ctx.resume();
+  },
+
   /** Gentle descending tone for "oops" moments */
   gentle() {
     tone(440, 0.2, 'sine', 0.12);
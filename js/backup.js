@@ -0,0 +1,156 @@
+/**
+ * Backup & Restore
+ *
+ * Packs every profile and all progress into one JSON file that a
+ * parent can keep, and reads such a file back in. Useful when
+ * switching tablets or before clearing the browser.
+ *
+ * Backup file shape:
+ * {
+ *   format: "amaragame-backup",
+ *   version: 1,
+ *   exportedAt: ISO string,
+ *   profiles: { ...blob from ProfileManager },
+ *   progress: { ...blob from ProgressManager }
+ * }
+ *
+ * Only players and progress travel. Stickers, the answer log, skill
+ * mastery, playtime and saved places stay on the device they were
+ * made on: 'merge' leaves them as they are, and 'replace' clears them
+ * for players the backup doesn't have, along with every saved place
+ * (it would resume a game ahead of the restored progress).
+ *
+ * Restoring is two-step so the UI can show what will change first:
+ *   const backup = await Backup.readFile(file);   // parses + validates
+ *   const changes = await Backup.preview(backup, 'merge');
+ *   await Backup.restore(backup, 'merge');         // or 'replace'
+ */
+
+import { ProfileManager } from './profile.js';
+import { ProgressManager } from './progress.js';
+import { AnswerLog } from './answers.js';
+import { Mastery } from './skills.js';
+import { Sessions } from './sessions.js';
+import { Stickers } from './stickers.js';
+import { Snapshots } from './snapshots.js';
+import { Migrations } from './migrations.js';
+
+const FORMAT = 'amaragame-backup';
+const VERSION = 1;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export const Backup = {
+  async create() {
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      profiles: await ProfileManager.exportData(),
+      progress: await ProgressManager.exportData(),
+    };
+  },
+
+  /** Build a backup and hand it to the browser as a file download. */
+  async download() {
+    const backup = await this.create();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `amaragame-backup-${backup.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  /** Read a File from an <input type="file">. Throws with a parent-readable message. */
+  async readFile(file) {
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (_) {
+      throw new Error('That file isn\'t a backup we can read.');
+    }
+    this.validate(backup);
+    return backup;
+  },
+
+  /** Throws with a parent-readable message if `backup` can't be restored. */
+  validate(backup) {
+    if (!isObject(backup) || backup.format !== FORMAT) {
+      throw new Error('That file isn\'t a Play to Learn backup.');
+    }
+    if (typeof backup.version !== 'number' || backup.version > VERSION) {
+      throw new Error('This backup was made by a newer version of the app. Please update first.');
+    }
+    if (!isObject(backup.profiles) || !isObject(backup.profiles.profiles)) {
+      throw new Error('This backup has no players in it.');
+    }
+    if (!isObject(backup.progress) || !isObject(backup.progress.profiles)) {
+      throw new Error('This backup is missing its progress data.');
+    }
+    if (Migrations.isNewer(backup.profiles, ProfileManager.schemaVersion) ||
+        Migrations.isNewer(backup.progress, ProgressManager.schemaVersion)) {
+      throw new Error('This backup was made by a newer version of the app. Please update first.');
+    }
+    if (!Migrations.tryRun('profiles', backup.profiles, ProfileManager.schemaVersion) ||
+        !Migrations.tryRun('progress', backup.progress, ProgressManager.schemaVersion)) {
+      throw new Error('This backup is from an old version of the app that can\'t be brought up to date.');
+    }
+    // Ids and avatars go into the app's markup as they are: only accept ones the app makes
+    for (const [key, p] of Object.entries(backup.profiles.profiles)) {
+      if (!isObject(p) || p.id !== key || !ProfileManager.isProfileId(p.id) ||
+          typeof p.name !== 'string' || !ProfileManager.avatars.includes(p.avatar)) {
+        throw new Error('One of the players in this backup looks damaged.');
+      }
+    }
+  },
+
+  /**
+   * Describe what restore(backup, mode) would do, without doing it.
+   * Returns [{ id, name, avatar, games, status }] where status is
+   * 'new' | 'update' (already on this device) | 'remove' (replace only).
+   */
+  async preview(backup, mode = 'merge') {
+    const current = await ProfileManager.exportData();
+    const changes = Object.values(backup.profiles.profiles).map(p => ({
+      id: p.id,
+      name: p.name,
+      avatar: p.avatar,
+      games: Object.keys(backup.progress.profiles[p.id] || {}).length,
+      status: current.profiles[p.id] ? 'update' : 'new',
+    }));
+
+    if (mode === 'replace') {
+      for (const p of Object.values(current.profiles)) {
+        if (!backup.profiles.profiles[p.id]) {
+          changes.push({ id: p.id, name: p.name, avatar: p.avatar, games: 0, status: 'remove' });
+        }
+      }
+    }
+    return changes;
+  },
+
+  /** Apply a validated backup. Returns true if both blobs were saved. */
+  async restore(backup, mode = 'merge') {
+    this.validate(backup);
+    const before = Object.keys((await ProfileManager.exportData()).profiles);
+    const profilesOk = await ProfileManager.importData(backup.profiles, mode);
+    const progressOk = await ProgressManager.importData(backup.progress, mode);
+    if (profilesOk && mode === 'replace') {
+      for (const id of before) {
+        await Snapshots.removeProfile(id);
+        if (backup.profiles.profiles[id]) continue;
+        await AnswerLog.removeProfile(id);
+        await Mastery.removeProfile(id);
+        await Sessions.removeProfile(id);
+        await Stickers.removeProfile(id);
+      }
+    }
+    return Boolean(profilesOk && progressOk);
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * Tiny Inline Charts
+ *
+ * Returns SVG markup strings for the grown-up screens. No library and
+ * no network: the markup is inserted with innerHTML like any other
+ * template. Sizes are in viewBox units, so the SVG scales with CSS.
+ *
+ *   el.innerHTML = Charts.line([0.5, 0.7, 0.9], { max: 1, labels: ['Mon', 'Tue', 'Wed'] });
+ */
+
+const PAD = 6;
+
+function escapeText(str) {
+  return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+export const Charts = {
+  /**
+   * Line chart with dots. `values` may contain nulls (gaps are skipped).
+   * Optional `labels` are shown under the first and last point.
+   */
+  line(values, { width = 240, height = 70, max = 1, color = '#6C5CE7', labels = [] } = {}) {
+    const innerW = width - PAD * 2;
+    const innerH = height - PAD * 2 - (labels.length ? 12 : 0);
+    const step = values.length > 1 ? innerW / (values.length - 1) : 0;
+    const x = i => PAD + (values.length > 1 ? i * step : innerW / 2);
+    const y = v => PAD + innerH - (Math.min(v, max) / max) * innerH;
+
+    const points = values
+      .map((v, i) => (v === null ? null : [x(i), y(v)]))
+      .filter(Boolean);
+
+    const path = points.map(([px, py], i) => `${i ? 'L' : 'M'}${px.toFixed(1)},${py.toFixed(1)}`).join(' ');
+    const dots = points.map(([px, py]) =>
+      `<circle cx="${px.toFixed(1)}" cy="${py.toFixed(1)}" r="3" fill="${color}"/>`
+    ).join('');
+
+    const baseline = PAD + innerH;
+    const text = labels.length ? `
+      <text x="${PAD}" y="${height - 2}" font-size="9" fill="#636E72">${escapeText(labels[0])}</text>
+      <text x="${width - PAD}" y="${height - 2}" font-size="9" fill="#636E72" text-anchor="end">${escapeText(labels.at(-1))}</text>` : '';
+
+    return `
+      <svg class="chart chart-line" viewBox="0 0 ${width} ${height}" role="img" xmlns="http://www.w3.org/2000/svg">
+        <line x1="${PAD}" y1="${baseline}" x2="${width - PAD}" y2="${baseline}" stroke="#DFE6E9" stroke-width="1"/>
+        <line x1="${PAD}" y1="${PAD}" x2="${width - PAD}" y2="${PAD}" stroke="#DFE6E9" stroke-width="1" stroke-dasharray="3,3"/>
+        ${points.length > 1 ? `<path d="${path}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>` : ''}
+        ${dots}
+        ${text}
+      </svg>`;
+  },
+
+  /** Horizontal bar showing `value` out of `max`, e.g. a level reached. */
+  meter(value, max, { width = 120, height = 10, color = '#00B894' } = {}) {
+    const filled = max > 0 ? Math.max(0, Math.min(1, value / max)) * width : 0;
+    return `
+      <svg class="chart chart-meter" viewBox="0 0 ${width} ${height}" role="img" xmlns="http://www.w3.org/2000/svg">
+        <rect x="0" y="0" width="${width}" height="${height}" rx="${height / 2}" fill="#DFE6E9"/>
+        <rect x="0" y="0" width="${filled.toFixed(1)}" height="${height}" rx="${height / 2}" fill="${color}"/>
+      </svg>`;
+  }
+};
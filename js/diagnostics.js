@@ -0,0 +1,69 @@
+/**
+ * Diagnostics Log
+ *
+ * A short local record of things that went wrong, for a grown-up (or
+ * whoever they ask for help) to read on the Data & Privacy screen.
+ * Nothing leaves the device.
+ *
+ *   Diagnostics.record(err, { gameId: 'number-hop', phase: 'init' });
+ *   await Diagnostics.getAll();   // oldest first
+ *
+ * Data shape stored under key "diagnostics":
+ * {
+ *   version: 1,
+ *   entries: [
+ *     { at: ISO string, gameId: string | null, phase: string, message: string, stack: string }
+ *   ]
+ * }
+ *
+ * Only the newest MAX_ENTRIES are kept, and the log is among the first
+ * things dropped when storage is full (pruner priority 0).
+ */
+
+import { Storage, createStore } from './storage.js';
+
+const KEY = 'diagnostics';
+const VERSION = 1;
+const MAX_ENTRIES = 50;
+const MAX_STACK = 2000;   // characters; enough to find the line, small enough to keep
+
+const { load, mutate } = createStore(KEY, VERSION, 'Diagnostics', () => ({ entries: [] }));
+
+// When storage is full, the log is expendable
+Storage.addPruner(KEY, data => (data?.entries?.length ? null : undefined), 0);
+
+export const Diagnostics = {
+  schemaVersion: VERSION,
+
+  /** Log one error. Never throws: a failing log mustn't add to the trouble. */
+  async record(error, { gameId = null, phase = 'unknown' } = {}) {
+    const entry = {
+      at: new Date().toISOString(),
+      gameId,
+      phase,
+      message: String(error?.message ?? error),
+      stack: String(error?.stack ?? '').slice(0, MAX_STACK),
+    };
+    await mutate(data => {
+      data.entries.push(entry);
+      if (data.entries.length > MAX_ENTRIES) data.entries.splice(0, data.entries.length - MAX_ENTRIES);
+      return entry;
+    });
+    return entry;
+  },
+
+  /** Oldest first. */
+  async getAll() {
+    return (await load()).entries;
+  },
+
+  async clear() {
+    try {
+      await Storage.remove(KEY);
+      return true;
+    } catch (e) {
+      console.error('[Diagnostics] could not clear:', e);
+      return false;
+    }
+  }
+};
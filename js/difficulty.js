@@ -0,0 +1,88 @@
+/**
+ * Adaptive Difficulty
+ *
+ * Games report how each round went; the service recommends whether
+ * to move up a level, stay, or ease back down. Games keep their own
+ * idea of what a "level" is (Feed the Monster's LEVELS table, Number
+ * Hop's sequences) and just act on the recommendation.
+ *
+ *   const tracker = callbacks.difficulty('level');        // one per track
+ *   tracker.report({ correct: true, attempts: 2, responseMs: 5400 });
+ *   switch (tracker.recommend()) {                        // 'promote' | 'hold' | 'demote'
+ *     case 'promote': level++; tracker.reset(); break;
+ *     case 'demote':  level--; tracker.reset(); break;
+ *   }
+ *
+ * Each round scores 0–1: solved on the first try scores 1, needing
+ * more tries scores 1/attempts, not solving scores 0, and a slow
+ * answer (over slowMs) costs a quarter. The recommendation looks at
+ * the mean of the last `window` rounds.
+ *
+ * Hysteresis keeps a child from bouncing between levels: promote and
+ * demote have separate thresholds with a wide "hold" band between
+ * them, and nothing changes until minRounds have been played since
+ * the last change (reset()).
+ */
+
+const DEFAULTS = {
+  window: 5,          // rounds the recommendation looks back over
+  minRounds: 3,       // rounds needed at a level before any change
+  promoteAt: 0.85,    // mean score at or above → promote
+  demoteAt: 0.45,     // mean score at or below → demote
+  slowMs: 8000,       // slower than this counts against the round
+};
+
+const SLOW_FACTOR = 0.75;
+
+/** Score one round outcome, 0–1. */
+function score({ correct, attempts = 1, responseMs = 0 }, slowMs) {
+  if (!correct) return 0;
+  const base = 1 / Math.max(1, attempts);
+  return responseMs > slowMs ? base * SLOW_FACTOR : base;
+}
+
+function createTracker(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  let scores = [];
+
+  return {
+    /** One finished round: { correct, attempts, responseMs }. */
+    report(outcome) {
+      scores.push(score(outcome, opts.slowMs));
+      if (scores.length > opts.window) scores.shift();
+    },
+
+    /** 'promote' | 'hold' | 'demote' */
+    recommend() {
+      if (scores.length < opts.minRounds) return 'hold';
+      const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+      if (mean >= opts.promoteAt) return 'promote';
+      if (mean <= opts.demoteAt) return 'demote';
+      return 'hold';
+    },
+
+    /** Call after acting on a promote/demote: the new level starts fresh. */
+    reset() {
+      scores = [];
+    },
+  };
+}
+
+export const Difficulty = {
+  defaults: DEFAULTS,
+
+  create: createTracker,
+
+  /**
+   * A per-launch lookup, handed to games as callbacks.difficulty:
+   * difficulty(track, options) returns the same tracker for the same
+   * track name until the game is closed.
+   */
+  session() {
+    const trackers = new Map();
+    return (track = 'default', options) => {
+      if (!trackers.has(track)) trackers.set(track, createTracker(options));
+      return trackers.get(track);
+    };
+  },
+};
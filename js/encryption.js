@@ -0,0 +1,265 @@
+/**
+ * Encrypted Storage Adapter
+ *
+ * Optional. Wraps any other adapter and encrypts every value with
+ * AES-GCM, using a key derived (PBKDF2) from a parent's passphrase.
+ * Children's names and learning data are then unreadable to anything
+ * else on the origin or anyone browsing the device's storage.
+ *
+ *   await EncryptedAdapter.recover(inner);   // at boot, before anything else
+ *   if (await EncryptedAdapter.isEnabled(inner)) {
+ *     Storage.setAdapter(await EncryptedAdapter.unlock(inner, passphrase));
+ *   }
+ *   await EncryptedAdapter.enable(inner, passphrase);   // installs itself
+ *
+ * The salt and a check value live unencrypted under META_KEY in the
+ * inner adapter. The passphrase itself is never stored.
+ *
+ * Turning the lock on or off and changing the passphrase rewrite every
+ * key. They run as one Storage.exclusive() task, so no game write can
+ * slip in between, and they survive a crash or a closed tab halfway:
+ * the new copies are staged under their own keys first, writing
+ * META_KEY with the list of staged keys commits the change, and only
+ * then are they swapped in. recover() finishes a committed change and
+ * throws away an uncommitted one.
+ *
+ * A value that won't decrypt makes load() throw rather than read as
+ * missing, so nothing is ever saved over it.
+ *
+ * Recovery: there is none, on purpose — a forgotten passphrase can't
+ * be worked around. EncryptedAdapter.reset() erases the encrypted data
+ * so the device can start over (and restore a backup file, if any).
+ *
+ * Enable encryption before wrapping storage in the sync adapter, so the
+ * sync layer sees plain data it can merge.
+ */
+
+import { Storage } from './storage.js';
+
+const META_KEY = 'crypto';
+const STAGING = 'crypto_staged:';   // + key: a value's new copy, until it's swapped in
+const ITERATIONS = 250000;
+const CHECK_TEXT = 'amaragame';
+
+// ── Encoding helpers ──
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encrypt(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plain = new TextEncoder().encode(JSON.stringify(value));
+  const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain);
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(cipher)) };
+}
+
+/** Throws if the key is wrong (AES-GCM authenticates the data). */
+async function decrypt(key, sealed) {
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data)
+  );
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+/** New salt + key + check value for a passphrase. */
+async function createMeta(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, ITERATIONS);
+  const meta = {
+    version: 1,
+    salt: toBase64(salt),
+    iterations: ITERATIONS,
+    check: await encrypt(key, CHECK_TEXT),
+  };
+  return { key, meta };
+}
+
+// ── Crash-safe rewrites ──
+
+async function mustSave(inner, key, value) {
+  if (!await inner.save(key, value)) throw new Error(`could not save "${key}"`);
+}
+
+async function dropStaged(inner) {
+  for (const k of await inner.keys()) {
+    if (k.startsWith(STAGING)) await inner.remove(k);
+  }
+}
+
+/** Move every staged copy over its key, then settle META_KEY. Safe to run again after a crash. */
+async function swapStaged(inner) {
+  const { staged, ending, ...meta } = await inner.load(META_KEY);
+  for (const k of staged) {
+    const value = await inner.load(STAGING + k);
+    if (value !== null) await mustSave(inner, k, value);   // null: swapped before the crash
+    await inner.remove(STAGING + k);
+  }
+  if (ending) await inner.remove(META_KEY);
+  else await mustSave(inner, META_KEY, meta);
+}
+
+/**
+ * Replace the stored form of every key with `values` ([key, value]).
+ * `meta` is the META_KEY to end up with, or null to end encryption.
+ */
+async function replaceAll(inner, values, meta) {
+  try {
+    for (const [k, value] of values) await mustSave(inner, STAGING + k, value);
+  } catch (e) {
+    await dropStaged(inner);
+    throw e;
+  }
+  const commit = meta ? { ...meta, ending: false } : { ...await inner.load(META_KEY), ending: true };
+  await mustSave(inner, META_KEY, { ...commit, staged: values.map(([k]) => k) });
+  await swapStaged(inner);
+}
+
+export class EncryptedAdapter {
+  constructor(inner, key) {
+    this._inner = inner;
+    this._key = key;
+  }
+
+  // ── Setup & recovery ──
+
+  static async isEnabled(inner) {
+    return (await inner.load(META_KEY)) !== null;
+  }
+
+  /** Finish or undo a lock change a crash interrupted. Call at boot, before isEnabled(). */
+  static async recover(inner) {
+    const meta = await inner.load(META_KEY);
+    if (meta?.staged) {
+      console.warn('[Storage] finishing an interrupted passphrase-lock change');
+      return swapStaged(inner);
+    }
+    return dropStaged(inner);
+  }
+
+  /** Resolves with an unlocked adapter, or throws Error('wrong passphrase'). */
+  static async unlock(inner, passphrase) {
+    const meta = await inner.load(META_KEY);
+    if (!meta) throw new Error('encryption is not enabled');
+    const key = await deriveKey(passphrase, fromBase64(meta.salt), meta.iterations);
+    try {
+      await decrypt(key, meta.check);
+    } catch (_) {
+      throw new Error('wrong passphrase');
+    }
+    return new EncryptedAdapter(inner, key);
+  }
+
+  /** Encrypt everything currently in `inner`, make Storage use the wrapping adapter, and return it. */
+  static enable(inner, passphrase) {
+    return Storage.exclusive(async () => {
+      if (await EncryptedAdapter.isEnabled(inner)) throw new Error('encryption is already enabled');
+      const { key, meta } = await createMeta(passphrase);
+      const values = [];
+      for (const k of await inner.keys()) {
+        const value = await inner.load(k);
+        if (value !== null) values.push([k, await encrypt(key, value)]);
+      }
+      await replaceAll(inner, values, meta);
+      const adapter = new EncryptedAdapter(inner, key);
+      Storage.setAdapter(adapter);
+      return adapter;
+    });
+  }
+
+  /** Forgotten passphrase: erase all encrypted data so the device can start fresh. */
+  static async reset(inner) {
+    for (const k of await inner.keys()) await inner.remove(k);
+  }
+
+  /** Re-encrypt everything under a new passphrase. Throws, changing nothing, if any value won't decrypt. */
+  changePassphrase(passphrase) {
+    return Storage.exclusive(async () => {
+      const values = await this._readAll();
+      const { key, meta } = await createMeta(passphrase);
+      const sealed = [];
+      for (const [k, value] of values) sealed.push([k, await encrypt(key, value)]);
+      await replaceAll(this._inner, sealed, meta);
+      this._key = key;
+    });
+  }
+
+  /** Decrypt everything back into `inner`, make Storage use it unwrapped, and return it. */
+  disable() {
+    return Storage.exclusive(async () => {
+      await replaceAll(this._inner, await this._readAll(), null);
+      Storage.setAdapter(this._inner);
+      return this._inner;
+    });
+  }
+
+  async _readAll() {
+    const values = [];
+    for (const k of await this.keys()) {
+      const value = await this.load(k);
+      if (value !== null) values.push([k, value]);
+    }
+    return values;
+  }
+
+  // ── Adapter contract ──
+
+  /** The adapter holding the sealed data; storage.js swaps it for memory if it fills up. */
+  get inner() {
+    return this._inner;
+  }
+
+  set inner(adapter) {
+    this._inner = adapter;
+  }
+
+  async save(key, data) {
+    try {
+      return await this._inner.save(key, await encrypt(this._key, data));
+    } catch (e) {
+      console.error('[Storage] encrypt failed:', e);
+      return false;
+    }
+  }
+
+  /** Throws if the value won't decrypt: reading it as missing would let it be saved over. */
+  async load(key) {
+    const sealed = await this._inner.load(key);
+    if (!sealed) return null;
+    try {
+      return await decrypt(this._key, sealed);
+    } catch (e) {
+      console.error(`[Storage] could not decrypt "${key}":`, e);
+      throw new Error(`could not decrypt "${key}"`);
+    }
+  }
+
+  async remove(key) {
+    return this._inner.remove(key);
+  }
+
+  async keys() {
+    return (await this._inner.keys()).filter(k => k !== META_KEY && !k.startsWith(STAGING));
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Event Emitter
+ *
+ * Minimal named-event helper for platform modules that want to
+ * announce changes (e.g. ProfileManager's "profile-changed").
+ *
+ *   const events = createEmitter();
+ *   const off = events.on('thing-happened', payload => { ... });
+ *   events.emit('thing-happened', payload);
+ *   off();
+ */
+
+export function createEmitter() {
+  const handlers = new Map();   // event name → Set of handlers
+
+  return {
+    /** Listen for `event`. Returns an unsubscribe function. */
+    on(event, handler) {
+      if (!handlers.has(event)) handlers.set(event, new Set());
+      handlers.get(event).add(handler);
+      return () => handlers.get(event)?.delete(handler);
+    },
+
+    emit(event, ...args) {
+      handlers.get(event)?.forEach(handler => {
+        try {
+          handler(...args);
+        } catch (e) {
+          console.error(`[Events] "${event}" handler failed:`, e);
+        }
+      });
+    },
+  };
+}
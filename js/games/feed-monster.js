@@ -14,7 +14,8 @@
  *   - Correct → celebration
  *   - Too few → encouraging "I'm still hungry!" (keep going)
  *   - Too many → gentle "Too full!" + restart same target
- *   - After 3 correct rounds, level increases (higher N)
+ *   - The platform's difficulty service moves the level up (higher N)
+ *     or back down based on recent rounds: tries, and time taken
  *
  * Drag implementation uses pointer events for mouse + touch support.
  */
@@ -96,6 +97,10 @@ const FeedMonsterGame = {
   thumbnail: '\u{1F47E}',
   description: 'Count and feed the hungry monster!',
   ageRange: [4, 6],
+  stickers: {
+    'level-3':   { emoji: '\u{1F36A}', label: 'Fed the monster at level 3' },
+    'top-level': { emoji: '\u{1F451}', label: 'Reached the top monster level' },
+  },
 
   // Private state (reset on each init)
   _container: null,
@@ -103,6 +108,9 @@ const FeedMonsterGame = {
   _el: null,         // cached DOM references
   _state: null,
   _drag: null,       // active drag tracking
+  _difficulty: null, // level tracker from callbacks.difficulty
+  _scheduler: null,  // callbacks.scheduler: timers & listeners, auto-cancelled
+  _snapshot: null,   // from restoreState(), picked up by init()
   _destroyed: false,
 
   // ── Lifecycle ──
@@ -111,22 +119,29 @@ const FeedMonsterGame = {
     this._container = container;
     this._callbacks = callbacks;
     this._destroyed = false;
+    this._scheduler = callbacks.scheduler;
     this._drag = null;
+    // Counting out food by dragging takes a while, so allow more time per round
+    this._difficulty = callbacks.difficulty('level', { slowMs: 25000 });
 
     this._buildDOM();
 
-    // Load saved progress, then start
+    // Load saved progress, then start (or carry on with the round from last time)
     callbacks.getProgress().then(progress => {
+      if (this._destroyed) return;
+      const saved = this._snapshot;
+      this._snapshot = null;
       this._state = {
-        level: progress.currentLevel || 1,
-        roundsInLevel: 0,
-        roundsToAdvance: 3,   // rounds before level-up
+        level: saved?.level ?? (progress.currentLevel || 1),
         target: 0,
         fed: 0,
         food: null,
+        request: '',      // what the speech bubble says
         celebrating: false,
+        attempt: 0,       // tries at the current target (answer log)
+        roundStartedAt: 0,
       };
-      this._startRound();
+      this._startRound(saved?.round);
     });
   },
 
@@ -138,6 +153,46 @@ const FeedMonsterGame = {
     this._callbacks = null;
     this._el = null;
     this._state = null;
+    this._snapshot = null;
+    this._difficulty = null;
+  },
+
+  /** The level, and the round in play: what the monster asked for and how much it has eaten. */
+  saveState() {
+    if (!this._state) return this._snapshot;
+    const { level, target, fed, food, request, celebrating, attempt } = this._state;
+    // Mid-celebration, or overfed and about to start over: next time starts a new round
+    if (celebrating || fed > target) return { level };
+    return { level, round: { target, fed, food: food.name, request, attempt } };
+  },
+
+  /** Pick up a saveState() from last time. */
+  restoreState(snapshot) {
+    const { level, round } = snapshot;
+    if (!Number.isInteger(level) || level < 1) return;
+    const cfg = levelConfig(level);
+    const fits = round && FOODS.some(f => f.name === round.food) &&
+      Number.isInteger(round.target) && round.target >= 1 && round.target <= cfg.max &&
+      Number.isInteger(round.fed) && round.fed >= 0 && round.fed <= round.target;
+    this._snapshot = { level: Math.min(level, LEVELS.length), round: fits ? round : null };
+  },
+
+  /** Drop any food mid-drag back in the tray; the scheduler holds the rest. */
+  pause() {
+    this._cleanupDrag();
+  },
+
+  /** Another tab got further: pick up from its level on the next round. */
+  onExternalProgress(progress) {
+    if (!this._state || !(progress.currentLevel > this._state.level)) return;
+    this._state.level = Math.min(progress.currentLevel, LEVELS.length);
+    this._difficulty.reset();
+  },
+
+  /** Plain words for a logged mistake, for the grown-up dashboard. */
+  describeMiss(itemId, answer) {
+    const target = /^count-(\d+)$/.exec(itemId)?.[1];
+    return target ? `fed ${answer} when asked for ${target}` : null;
   },
 
   // ── Build the game DOM ──
@@ -202,18 +257,26 @@ const FeedMonsterGame = {
 
   // ── Round management ──
 
-  _startRound() {
-    if (this._destroyed) return;
-
+  /** Start a new round, or carry on with `resume` from restoreState(). */
+  _startRound(resume = null) {
     const cfg = levelConfig(this._state.level);
-    const target = randInt(cfg.min, cfg.max);
-    const food = randFrom(FOODS);
+    const target = resume?.target ?? randInt(cfg.min, cfg.max);
+    const food = FOODS.find(f => f.name === resume?.food) ?? randFrom(FOODS);
+    const fed = resume?.fed ?? 0;
     const totalItems = target + cfg.extra;
+    const request = resume?.request || randFrom(REQUESTS)(target, food);
 
-    Object.assign(this._state, { target, food, fed: 0, celebrating: false });
+    const now = Date.now();
+    Object.assign(this._state, {
+      target, food, fed, request, celebrating: false, attempt: resume?.attempt ?? 0, roundStartedAt: now,
+    });
+    this._callbacks.ask(`count-${target}`, {
+      skills: [target <= 5 ? 'counting-to-5' : 'counting-to-10'],
+      attempt: this._state.attempt,
+    });
 
     // Speech
-    this._el.speech.textContent = randFrom(REQUESTS)(target, food);
+    this._el.speech.textContent = request;
 
     // Reset monster mood
     this._el.monster.classList.remove('fm-happy', 'fm-eating');
@@ -227,8 +290,8 @@ const FeedMonsterGame = {
     // Progress counter
     this._renderProgress();
 
-    // Food tray
-    this._renderTray(totalItems, food);
+    // Food tray, less what was already eaten
+    this._renderTray(totalItems - fed, food);
   },
 
   _renderProgress() {
@@ -314,8 +377,6 @@ const FeedMonsterGame = {
       };
 
       const onUp = (e) => {
-        document.removeEventListener('pointermove', onMove);
-        document.removeEventListener('pointerup', onUp);
         if (!this._drag) return;
 
         // Hit-test against the whole monster body (generous target)
@@ -331,21 +392,24 @@ const FeedMonsterGame = {
           this._feedMonster(this._drag.element);
         }
 
-        // Clean up
-        this._drag.clone.remove();
-        this._drag.element.classList.remove('fm-drag-source');
-        this._el.mouth.classList.remove('fm-mouth-hover');
-        this._drag = null;
+        this._cleanupDrag();
       };
 
-      document.addEventListener('pointermove', onMove);
-      document.addEventListener('pointerup', onUp);
+      // On document so the drag follows the finger anywhere; the
+      // scheduler removes these if the game closes mid-drag
+      this._drag.listeners = [
+        this._scheduler.listen(document, 'pointermove', onMove),
+        this._scheduler.listen(document, 'pointerup', onUp),
+      ];
     });
   },
 
   _cleanupDrag() {
     if (this._drag) {
+      this._drag.listeners.forEach(handle => this._scheduler.cancel(handle));
       this._drag.clone.remove();
+      this._drag.element.classList.remove('fm-drag-source');
+      this._el?.mouth.classList.remove('fm-mouth-hover');
       this._drag = null;
     }
   },
@@ -359,13 +423,13 @@ const FeedMonsterGame = {
 
     // Animate item away
     element.classList.add('fm-eaten');
-    setTimeout(() => element.remove(), 300);
+    this._scheduler.timeout(() => element.remove(), 300);
 
     // Monster eats
     Audio.munch();
     this._el.monster.classList.add('fm-eating');
-    setTimeout(() => {
-      if (!this._destroyed) this._el.monster.classList.remove('fm-eating');
+    this._scheduler.timeout(() => {
+      this._el.monster.classList.remove('fm-eating');
     }, 400);
 
     // Update counter
@@ -377,6 +441,7 @@ const FeedMonsterGame = {
   _checkAnswer() {
     if (this._state.celebrating) return;
     const { fed, target } = this._state;
+    this._state.attempt = this._callbacks.answer(fed, fed === target);
 
     if (fed === target) {
       // Correct!
@@ -387,8 +452,8 @@ const FeedMonsterGame = {
       this._el.feedback.textContent = randFrom(TOO_FEW_MSGS);
       this._el.feedback.className = 'fm-feedback fm-feedback-show fm-feedback-nudge';
       this._el.monster.classList.add('fm-thinking');
-      setTimeout(() => {
-        if (!this._destroyed) this._el.monster.classList.remove('fm-thinking');
+      this._scheduler.timeout(() => {
+        this._el.monster.classList.remove('fm-thinking');
       }, 800);
     } else {
       // Too many — gentle restart with same target
@@ -404,15 +469,15 @@ const FeedMonsterGame = {
       });
 
       // Restart same round after a pause
-      setTimeout(() => {
-        if (this._destroyed) return;
+      this._scheduler.timeout(() => {
         const food = this._state.food;
         const cfg = levelConfig(this._state.level);
         const totalItems = this._state.target + cfg.extra;
         this._state.fed = 0;
         this._state.celebrating = false;
+        this._state.request = randFrom(REQUESTS)(this._state.target, food);
         this._el.monster.classList.remove('fm-happy', 'fm-eating');
-        this._el.speech.textContent = randFrom(REQUESTS)(this._state.target, food);
+        this._el.speech.textContent = this._state.request;
         this._el.checkBtn.style.display = '';
         this._el.checkBtn.disabled = true;
         this._el.feedback.textContent = '';
@@ -427,7 +492,6 @@ const FeedMonsterGame = {
 
   _celebrate() {
     this._state.celebrating = true;
-    this._state.roundsInLevel++;
 
     // Happy monster
     this._el.monster.classList.add('fm-happy');
@@ -446,10 +510,21 @@ const FeedMonsterGame = {
       item.style.opacity = '0.3';
     });
 
-    // Level up?
-    if (this._state.roundsInLevel >= this._state.roundsToAdvance) {
-      this._state.level = Math.min(this._state.level + 1, LEVELS.length);
-      this._state.roundsInLevel = 0;
+    // Up, down or stay, from how the last few rounds went
+    this._difficulty.report({
+      correct: true,
+      attempts: this._state.attempt,
+      responseMs: Date.now() - this._state.roundStartedAt,
+    });
+    const change = this._difficulty.recommend();
+    if (change !== 'hold') {
+      const next = this._state.level + (change === 'promote' ? 1 : -1);
+      this._state.level = Math.max(1, Math.min(next, LEVELS.length));
+      this._difficulty.reset();
+    }
+    if (change === 'promote') {
+      if (this._state.level >= 3) this._callbacks.earnSticker('level-3');
+      if (this._state.level === LEVELS.length) this._callbacks.earnSticker('top-level');
     }
 
     // Save progress
@@ -458,9 +533,9 @@ const FeedMonsterGame = {
       bestLevel: this._state.level,
     });
 
-    // Next round after a pause
-    setTimeout(() => {
-      if (!this._destroyed) this._startRound();
+    // Next round after a pause, unless it's time to stop
+    this._scheduler.timeout(() => {
+      if (this._callbacks.onRoundComplete()) this._startRound();
     }, 2800);
   },
 
@@ -481,8 +556,8 @@ const FeedMonsterGame = {
       el.appendChild(p);
     }
 
-    setTimeout(() => {
-      if (!this._destroyed) el.innerHTML = '';
+    this._scheduler.timeout(() => {
+      el.innerHTML = '';
     }, 1200);
   },
 };
@@ -33,61 +33,62 @@ const EMOTIONS = {
 };
 
 // ── Scenarios ──────────────────────────────────────────────────
+// id is logged with each answer (as "scenario-<id>"): keep it stable
 // perspective 'you' (default) → "How would YOU feel?"
 // perspective 'friend'        → "How does your friend feel?"
 const SCENARIOS = [
 
   // ── Pure emotion recognition ───────────────────────────────
-  { text: "You got a brand new puppy for your birthday!",               emojis: "🐶🎁",   answer: "excited",   wrongs: ["nervous",  "confused"]  },
-  { text: "Your favorite song came on the radio!",                      emojis: "🎵😄",   answer: "happy",     wrongs: ["sad",      "scared"]    },
-  { text: "You're going to the playground today!",                      emojis: "🛝☀️",   answer: "excited",   wrongs: ["nervous",  "sad"]       },
-  { text: "Grandma came to visit and brought cookies!",                 emojis: "👵🍪",   answer: "happy",     wrongs: ["angry",    "confused"]  },
-  { text: "You dropped your ice cream on the ground.",                  emojis: "🍦💔",   answer: "sad",       wrongs: ["happy",    "silly"]     },
-  { text: "Your best friend is moving far away.",                       emojis: "🏠👋",   answer: "sad",       wrongs: ["excited",  "angry"]     },
-  { text: "Your favorite toy broke.",                                   emojis: "🧸💔",   answer: "sad",       wrongs: ["happy",    "surprised"] },
-  { text: "Someone took your toy without asking.",                      emojis: "🧸😤",   answer: "angry",     wrongs: ["happy",    "confused"]  },
-  { text: "Your little brother scribbled all over your drawing.",       emojis: "🖍️😤",  answer: "angry",     wrongs: ["happy",    "scared"]    },
-  { text: "Someone cut in line right in front of you.",                 emojis: "👦😠",   answer: "angry",     wrongs: ["surprised","sad"]       },
-  { text: "You hear a strange noise in the dark.",                      emojis: "🌙👂",   answer: "scared",    wrongs: ["happy",    "silly"]     },
-  { text: "A big dog runs toward you barking loudly.",                  emojis: "🐕😱",   answer: "scared",    wrongs: ["excited",  "confused"]  },
-  { text: "You got lost in a big crowded store.",                       emojis: "🏪😰",   answer: "scared",    wrongs: ["happy",    "angry"]     },
-  { text: "You opened a present and it was your dream toy!",            emojis: "🎁😲",   answer: "surprised", wrongs: ["sad",      "angry"]     },
-  { text: "Your friends jumped out and yelled SURPRISE!",               emojis: "🎉😲",   answer: "surprised", wrongs: ["scared",   "angry"]     },
-  { text: "You have to speak in front of the whole class.",             emojis: "🏫🎤",   answer: "nervous",   wrongs: ["excited",  "silly"]     },
-  { text: "It's your very first day at a brand new school.",            emojis: "🏫🎒",   answer: "nervous",   wrongs: ["excited",  "happy"]     },
-  { text: "You're about to perform in the school show!",                emojis: "🎭🌟",   answer: "nervous",   wrongs: ["sad",      "confused"]  },
-  { text: "You learned to ride your bike all by yourself!",             emojis: "🚲⭐",   answer: "proud",     wrongs: ["nervous",  "sad"]       },
-  { text: "You finished your drawing and it looks amazing!",            emojis: "🎨✨",   answer: "proud",     wrongs: ["sad",      "nervous"]   },
-  { text: "You won first place in the school race!",                    emojis: "🏆🥇",   answer: "proud",     wrongs: ["scared",   "confused"]  },
-  { text: "You put your shirt on completely backwards by accident!",    emojis: "👕😆",   answer: "silly",     wrongs: ["sad",      "nervous"]   },
-  { text: "Your tummy made a very loud noise during class!",            emojis: "😄🎵",   answer: "silly",     wrongs: ["scared",   "angry"]     },
-  { text: "The puzzle pieces don't seem to fit anywhere.",              emojis: "🧩❓",   answer: "confused",  wrongs: ["happy",    "angry"]     },
-  { text: "The teacher explained something and you don't get it.",      emojis: "📚❓",   answer: "confused",  wrongs: ["excited",  "sad"]       },
-  { text: "You missed your mommy while you were at school.",            emojis: "🏫💭",   answer: "sad",       wrongs: ["excited",  "angry"]     },
+  { id: "new-puppy",              text: "You got a brand new puppy for your birthday!",               emojis: "🐶🎁",   answer: "excited",   wrongs: ["nervous",  "confused"]  },
+  { id: "favorite-song",          text: "Your favorite song came on the radio!",                      emojis: "🎵😄",   answer: "happy",     wrongs: ["sad",      "scared"]    },
+  { id: "playground-today",       text: "You're going to the playground today!",                      emojis: "🛝☀️",   answer: "excited",   wrongs: ["nervous",  "sad"]       },
+  { id: "grandma-cookies",        text: "Grandma came to visit and brought cookies!",                 emojis: "👵🍪",   answer: "happy",     wrongs: ["angry",    "confused"]  },
+  { id: "dropped-ice-cream",      text: "You dropped your ice cream on the ground.",                  emojis: "🍦💔",   answer: "sad",       wrongs: ["happy",    "silly"]     },
+  { id: "friend-moving-away",     text: "Your best friend is moving far away.",                       emojis: "🏠👋",   answer: "sad",       wrongs: ["excited",  "angry"]     },
+  { id: "toy-broke",              text: "Your favorite toy broke.",                                   emojis: "🧸💔",   answer: "sad",       wrongs: ["happy",    "surprised"] },
+  { id: "toy-taken",              text: "Someone took your toy without asking.",                      emojis: "🧸😤",   answer: "angry",     wrongs: ["happy",    "confused"]  },
+  { id: "brother-scribbled",      text: "Your little brother scribbled all over your drawing.",       emojis: "🖍️😤",  answer: "angry",     wrongs: ["happy",    "scared"]    },
+  { id: "cut-in-line",            text: "Someone cut in line right in front of you.",                 emojis: "👦😠",   answer: "angry",     wrongs: ["surprised","sad"]       },
+  { id: "strange-noise",          text: "You hear a strange noise in the dark.",                      emojis: "🌙👂",   answer: "scared",    wrongs: ["happy",    "silly"]     },
+  { id: "barking-dog",            text: "A big dog runs toward you barking loudly.",                  emojis: "🐕😱",   answer: "scared",    wrongs: ["excited",  "confused"]  },
+  { id: "lost-in-store",          text: "You got lost in a big crowded store.",                       emojis: "🏪😰",   answer: "scared",    wrongs: ["happy",    "angry"]     },
+  { id: "dream-toy",              text: "You opened a present and it was your dream toy!",            emojis: "🎁😲",   answer: "surprised", wrongs: ["sad",      "angry"]     },
+  { id: "surprise-party",         text: "Your friends jumped out and yelled SURPRISE!",               emojis: "🎉😲",   answer: "surprised", wrongs: ["scared",   "angry"]     },
+  { id: "speak-in-class",         text: "You have to speak in front of the whole class.",             emojis: "🏫🎤",   answer: "nervous",   wrongs: ["excited",  "silly"]     },
+  { id: "first-day-school",       text: "It's your very first day at a brand new school.",            emojis: "🏫🎒",   answer: "nervous",   wrongs: ["excited",  "happy"]     },
+  { id: "school-show",            text: "You're about to perform in the school show!",                emojis: "🎭🌟",   answer: "nervous",   wrongs: ["sad",      "confused"]  },
+  { id: "rode-bike",              text: "You learned to ride your bike all by yourself!",             emojis: "🚲⭐",   answer: "proud",     wrongs: ["nervous",  "sad"]       },
+  { id: "drawing-done",           text: "You finished your drawing and it looks amazing!",            emojis: "🎨✨",   answer: "proud",     wrongs: ["sad",      "nervous"]   },
+  { id: "won-race",               text: "You won first place in the school race!",                    emojis: "🏆🥇",   answer: "proud",     wrongs: ["scared",   "confused"]  },
+  { id: "shirt-backwards",        text: "You put your shirt on completely backwards by accident!",    emojis: "👕😆",   answer: "silly",     wrongs: ["sad",      "nervous"]   },
+  { id: "tummy-noise",            text: "Your tummy made a very loud noise during class!",            emojis: "😄🎵",   answer: "silly",     wrongs: ["scared",   "angry"]     },
+  { id: "puzzle-pieces",          text: "The puzzle pieces don't seem to fit anywhere.",              emojis: "🧩❓",   answer: "confused",  wrongs: ["happy",    "angry"]     },
+  { id: "teacher-explained",      text: "The teacher explained something and you don't get it.",      emojis: "📚❓",   answer: "confused",  wrongs: ["excited",  "sad"]       },
+  { id: "missed-mommy",           text: "You missed your mommy while you were at school.",            emojis: "🏫💭",   answer: "sad",       wrongs: ["excited",  "angry"]     },
 
   // ── Empathy — how does your friend feel? ──────────────────
-  { text: "You shared your lunch with a friend who forgot theirs.",     emojis: "🍱🤝",   answer: "happy",     wrongs: ["angry",    "scared"],   perspective: "friend" },
-  { text: "You forgot your friend's birthday.",                         emojis: "🎂😔",   answer: "sad",       wrongs: ["excited",  "silly"],    perspective: "friend" },
-  { text: "You cheered loudly for your friend during their race.",      emojis: "📣🏃",   answer: "excited",   wrongs: ["nervous",  "sad"],      perspective: "friend" },
-  { text: "A new kid at school has nobody to play with.",               emojis: "🏫😶",   answer: "sad",       wrongs: ["happy",    "excited"],  perspective: "friend" },
-  { text: "You accidentally stepped on your friend's drawing.",         emojis: "🎨😢",   answer: "sad",       wrongs: ["happy",    "silly"],    perspective: "friend" },
-  { text: "You gave your friend the very last piece of your cake.",     emojis: "🍰😊",   answer: "happy",     wrongs: ["sad",      "confused"], perspective: "friend" },
-  { text: "Your friend is waiting and you are very late.",              emojis: "⏰😟",   answer: "nervous",   wrongs: ["happy",    "silly"],    perspective: "friend" },
-  { text: "You invited the new classmate to join your game.",           emojis: "🧒🤝",   answer: "happy",     wrongs: ["nervous",  "confused"], perspective: "friend" },
-  { text: "You gave your friend a big hug when they were crying.",      emojis: "🤗😢",   answer: "happy",     wrongs: ["scared",   "confused"], perspective: "friend" },
-  { text: "You forgot to return your friend's book.",                   emojis: "📚😕",   answer: "sad",       wrongs: ["excited",  "silly"],    perspective: "friend" },
+  { id: "shared-lunch",           text: "You shared your lunch with a friend who forgot theirs.",     emojis: "🍱🤝",   answer: "happy",     wrongs: ["angry",    "scared"],   perspective: "friend" },
+  { id: "forgot-birthday",        text: "You forgot your friend's birthday.",                         emojis: "🎂😔",   answer: "sad",       wrongs: ["excited",  "silly"],    perspective: "friend" },
+  { id: "cheered-race",           text: "You cheered loudly for your friend during their race.",      emojis: "📣🏃",   answer: "excited",   wrongs: ["nervous",  "sad"],      perspective: "friend" },
+  { id: "new-kid-alone",          text: "A new kid at school has nobody to play with.",               emojis: "🏫😶",   answer: "sad",       wrongs: ["happy",    "excited"],  perspective: "friend" },
+  { id: "stepped-on-drawing",     text: "You accidentally stepped on your friend's drawing.",         emojis: "🎨😢",   answer: "sad",       wrongs: ["happy",    "silly"],    perspective: "friend" },
+  { id: "last-piece-cake",        text: "You gave your friend the very last piece of your cake.",     emojis: "🍰😊",   answer: "happy",     wrongs: ["sad",      "confused"], perspective: "friend" },
+  { id: "very-late",              text: "Your friend is waiting and you are very late.",              emojis: "⏰😟",   answer: "nervous",   wrongs: ["happy",    "silly"],    perspective: "friend" },
+  { id: "invited-classmate",      text: "You invited the new classmate to join your game.",           emojis: "🧒🤝",   answer: "happy",     wrongs: ["nervous",  "confused"], perspective: "friend" },
+  { id: "hug-crying",             text: "You gave your friend a big hug when they were crying.",      emojis: "🤗😢",   answer: "happy",     wrongs: ["scared",   "confused"], perspective: "friend" },
+  { id: "forgot-book",            text: "You forgot to return your friend's book.",                   emojis: "📚😕",   answer: "sad",       wrongs: ["excited",  "silly"],    perspective: "friend" },
 
   // ── Values in action ───────────────────────────────────────
-  { text: "You helped your grandma carry her heavy bags.",              emojis: "👵🛍️",  answer: "proud",     wrongs: ["nervous",  "confused"]  },
-  { text: "You told the truth even though it was really hard.",         emojis: "😬✅",   answer: "proud",     wrongs: ["scared",   "sad"]       },
-  { text: "You waited patiently for your turn without complaining.",    emojis: "⏳😌",   answer: "proud",     wrongs: ["angry",    "nervous"]   },
-  { text: "You said sorry after accidentally hurting your friend.",     emojis: "🤝💕",   answer: "proud",     wrongs: ["happy",    "silly"]     },
-  { text: "You saved your pocket money to buy a gift for your mom.",    emojis: "💰🎁",   answer: "proud",     wrongs: ["sad",      "scared"]    },
-  { text: "You stood up for a friend who was being teased.",            emojis: "🛡️💕",  answer: "proud",     wrongs: ["scared",   "confused"]  },
-  { text: "You gave your favorite sticker to cheer up a sad friend.",   emojis: "⭐😭",   answer: "proud",     wrongs: ["sad",      "nervous"]   },
-  { text: "You cleaned up your room without being asked!",              emojis: "🧹🏠",   answer: "proud",     wrongs: ["confused", "scared"]    },
-  { text: "You let your little sister pick the movie tonight.",         emojis: "📺👧",   answer: "proud",     wrongs: ["angry",    "confused"]  },
-  { text: "You returned a lost wallet you found on the ground.",        emojis: "👛✅",   answer: "proud",     wrongs: ["nervous",  "confused"]  },
+  { id: "carried-bags",           text: "You helped your grandma carry her heavy bags.",              emojis: "👵🛍️",  answer: "proud",     wrongs: ["nervous",  "confused"]  },
+  { id: "told-truth",             text: "You told the truth even though it was really hard.",         emojis: "😬✅",   answer: "proud",     wrongs: ["scared",   "sad"]       },
+  { id: "waited-turn",            text: "You waited patiently for your turn without complaining.",    emojis: "⏳😌",   answer: "proud",     wrongs: ["angry",    "nervous"]   },
+  { id: "said-sorry",             text: "You said sorry after accidentally hurting your friend.",     emojis: "🤝💕",   answer: "proud",     wrongs: ["happy",    "silly"]     },
+  { id: "saved-pocket-money",     text: "You saved your pocket money to buy a gift for your mom.",    emojis: "💰🎁",   answer: "proud",     wrongs: ["sad",      "scared"]    },
+  { id: "stood-up-for-friend",    text: "You stood up for a friend who was being teased.",            emojis: "🛡️💕",  answer: "proud",     wrongs: ["scared",   "confused"]  },
+  { id: "gave-sticker",           text: "You gave your favorite sticker to cheer up a sad friend.",   emojis: "⭐😭",   answer: "proud",     wrongs: ["sad",      "nervous"]   },
+  { id: "cleaned-room",           text: "You cleaned up your room without being asked!",              emojis: "🧹🏠",   answer: "proud",     wrongs: ["confused", "scared"]    },
+  { id: "sister-picks-movie",     text: "You let your little sister pick the movie tonight.",         emojis: "📺👧",   answer: "proud",     wrongs: ["angry",    "confused"]  },
+  { id: "returned-wallet",        text: "You returned a lost wallet you found on the ground.",        emojis: "👛✅",   answer: "proud",     wrongs: ["nervous",  "confused"]  },
 ];
 
 const CORRECT_MSGS = [
@@ -126,6 +127,12 @@ function buildChoices(scenario) {
   return shuffle([scenario.answer, scenario.wrongs[0], scenario.wrongs[1]]);
 }
 
+/** True if `deck` is an order of all `size` scenarios, e.g. from a snapshot. */
+function isDeck(deck, size) {
+  return Array.isArray(deck) && deck.length === size &&
+    new Set(deck).size === size && deck.every(i => Number.isInteger(i) && i >= 0 && i < size);
+}
+
 // ══════════════════════════════════════════════════════════════
 //  Game object
 // ══════════════════════════════════════════════════════════════
@@ -136,10 +143,15 @@ const MoodGardenGame = {
   thumbnail: '🌸',
   category:  'feelings',
   ageRange:  [4, 8],
+  stickers: {
+    'full-row': { emoji: '💐', label: `Grew ${ROW_SIZE} flowers in a row` },
+  },
 
   _container: null,
   _callbacks: null,
   _state:     null,
+  _scheduler: null,
+  _snapshot:  null,   // from restoreState(), picked up by init()
   _destroyed: false,
 
   // ── Lifecycle ──────────────────────────────────────────────
@@ -148,12 +160,32 @@ const MoodGardenGame = {
     this._container = container;
     this._callbacks = callbacks;
     this._destroyed = false;
+    this._scheduler = callbacks.scheduler;
+
+    if (this._snapshot) return this._start();
+
+    // No snapshot (first visit, or it was dropped): carry on from the saved progress
+    callbacks.getProgress().then(progress => {
+      if (this._destroyed) return;
+      if (progress.custom) this.restoreState(progress.custom);
+      this._start();
+    }, err => {
+      if (this._destroyed) return;
+      console.error('[MoodGarden] could not load progress, starting fresh:', err);
+      this._start();
+    });
+  },
 
-    const saved = callbacks.getProgress();
+  /** Set up from the picked-up snapshot, if there is one, and show the first scenario. */
+  _start() {
+    const saved = this._snapshot;
+    this._snapshot = null;
     this._state = {
-      questionIdx: saved?.custom?.questionIdx ?? 0,
-      deck:        null,
-      rowFlowers:  saved?.custom?.rowFlowers  ?? [],
+      questionIdx: saved?.questionIdx ?? 0,
+      deck:        saved?.deck ?? null,
+      rowFlowers:  saved?.rowFlowers ?? [],
+      choices:     saved?.choices ?? null,   // the current scenario's, in screen order
+      tried:       saved?.tried ?? [],       // wrong choices already greyed out
       locked:      false,
     };
 
@@ -162,6 +194,38 @@ const MoodGardenGame = {
 
   destroy() {
     this._destroyed = true;
+    this._state = null;
+    this._snapshot = null;
+  },
+
+  /** The scenario on screen, the flowers in the row and the choices already tried. */
+  saveState() {
+    if (!this._state) return this._snapshot;
+    const { questionIdx, deck, rowFlowers, choices, tried } = this._state;
+    return { questionIdx, deck, rowFlowers, choices, tried };
+  },
+
+  /** Pick up a saveState() from last time, dropping anything today's scenarios don't have. */
+  restoreState(snapshot) {
+    const { questionIdx, deck, rowFlowers, choices, tried } = snapshot;
+    if (!Number.isInteger(questionIdx) || questionIdx < 0) return;
+    const flowers = Array.isArray(rowFlowers) ? rowFlowers.filter(e => EMOTIONS[e]) : [];
+    this._snapshot = {
+      questionIdx,
+      deck:       isDeck(deck, SCENARIOS.length) ? deck : null,
+      rowFlowers: flowers.slice(0, ROW_SIZE - 1),
+      choices:    Array.isArray(choices) && choices.every(e => EMOTIONS[e]) ? choices : null,
+      tried:      Array.isArray(tried) ? tried : [],
+    };
+  },
+
+  /** Plain words for a logged mistake, for the grown-up dashboard. */
+  describeMiss(itemId, answer) {
+    const scenario = SCENARIOS.find(s => `scenario-${s.id}` === itemId);
+    if (!scenario || !EMOTIONS[answer]) return null;
+    const chosen = EMOTIONS[answer].label.toLowerCase();
+    const correct = EMOTIONS[scenario.answer].label.toLowerCase();
+    return `picks ${chosen} for ${correct} (\u{201C}${scenario.text}\u{201D})`;
   },
 
   // ── Render ─────────────────────────────────────────────────
@@ -169,12 +233,19 @@ const MoodGardenGame = {
   _render() {
     const cyclePos = this._state.questionIdx % SCENARIOS.length;
 
-    if (!this._state.deck || cyclePos === 0) {
+    // First visit, or a deck that couldn't be restored
+    if (!this._state.deck) {
       this._state.deck = shuffle(SCENARIOS.map((_, i) => i));
     }
 
     const scenario = SCENARIOS[this._state.deck[cyclePos]];
-    const choices  = buildChoices(scenario);
+
+    // Restored choices keep their places; a new scenario gets a fresh set
+    if (!this._state.choices?.includes(scenario.answer)) {
+      this._state.choices = buildChoices(scenario);
+      this._state.tried = [];
+    }
+    const { choices, tried } = this._state;
     const isFriend = scenario.perspective === 'friend';
     const question = isFriend
       ? '💬 How does your friend feel?'
@@ -207,8 +278,9 @@ const MoodGardenGame = {
             ${choices.map((emotion, i) => {
               const emo = EMOTIONS[emotion];
               return `
-                <button class="mg-choice" data-emotion="${emotion}"
-                        style="--choice-color:${emo.color}; animation-delay:${i * 0.09}s">
+                <button class="mg-choice${tried.includes(emotion) ? ' mg-wrong' : ''}" data-emotion="${emotion}"
+                        style="--choice-color:${emo.color}; animation-delay:${i * 0.09}s"
+                        ${tried.includes(emotion) ? 'disabled' : ''}>
                   <span class="mg-choice-face">${emo.face}</span>
                   <span class="mg-choice-label">${emo.label}</span>
                 </button>`;
@@ -229,6 +301,10 @@ const MoodGardenGame = {
       </div>`;
 
     this._state.locked = false;
+    this._callbacks.ask(`scenario-${scenario.id}`, {
+      skills: [`emotion-${scenario.answer}`],
+      attempt: tried.length,
+    });
 
     const $  = sel => this._container.querySelector(sel);
     const $$ = sel => this._container.querySelectorAll(sel);
@@ -250,6 +326,7 @@ const MoodGardenGame = {
 
   _checkAnswer(chosen, correct, btn) {
     const $ = sel => this._container.querySelector(sel);
+    this._callbacks.answer(chosen, chosen === correct);
 
     if (chosen === correct) {
       Audio.success();
@@ -274,32 +351,41 @@ const MoodGardenGame = {
         slot.textContent = emo.face;
       }
 
-      if (rowComplete) this._spawnConfetti();
-
-      setTimeout(() => {
-        if (this._destroyed) return;
-        this._state.questionIdx++;
-        if (rowComplete) this._state.rowFlowers = [];
-        this._callbacks.onProgress({
-          custom: {
-            questionIdx: this._state.questionIdx,
-            rowFlowers:  this._state.rowFlowers,
-          },
-        });
-        this._render();
+      if (rowComplete) {
+        this._spawnConfetti();
+        this._callbacks.earnSticker('full-row');
+      }
+
+      // Move on now, so a snapshot taken during the celebration resumes at the next scenario
+      this._state.questionIdx++;
+      this._state.choices = null;
+      if (rowComplete) this._state.rowFlowers = [];
+      if (this._state.questionIdx % SCENARIOS.length === 0) {
+        this._state.deck = shuffle(SCENARIOS.map((_, i) => i));   // a new cycle
+      }
+      this._callbacks.onProgress({
+        custom: {
+          questionIdx: this._state.questionIdx,
+          deck:        this._state.deck,
+          rowFlowers:  this._state.rowFlowers,
+        },
+      });
+
+      this._scheduler.timeout(() => {
+        if (this._callbacks.onRoundComplete()) this._render();
       }, rowComplete ? 1800 : 1400);
 
     } else {
       Audio.gentle();
       btn.classList.add('mg-wrong');
       btn.disabled = true;
+      this._state.tried.push(chosen);
 
       const fb = $('#mg-feedback');
       fb.textContent = pick(WRONG_MSGS);
       fb.className = 'mg-feedback mg-feedback-show mg-feedback-nudge';
 
-      setTimeout(() => {
-        if (this._destroyed) return;
+      this._scheduler.timeout(() => {
         fb.className = 'mg-feedback';
         fb.textContent = '';
       }, 1200);
@@ -326,7 +412,7 @@ const MoodGardenGame = {
       el.appendChild(p);
     }
 
-    setTimeout(() => { if (!this._destroyed) el.innerHTML = ''; }, 1600);
+    this._scheduler.timeout(() => { el.innerHTML = ''; }, 1600);
   },
 };
 
@@ -86,11 +86,16 @@ const NumberHopGame = {
   thumbnail: '\u{1F438}',
   description: 'Skip count with a hopping frog!',
   ageRange: [4, 7],
+  stickers: Object.fromEntries(MODES.map(m => [
+    `by${m.step}-level-3`, { emoji: m.icon, label: `Level 3 counting by ${m.step}s` },
+  ])),
 
   _container: null,
   _callbacks: null,
   _el: null,
   _state: null,
+  _scheduler: null,
+  _snapshot: null,   // from restoreState(), picked up by init()
   _destroyed: false,
 
   // ── Lifecycle ──
@@ -99,16 +104,31 @@ const NumberHopGame = {
     this._container = container;
     this._callbacks = callbacks;
     this._destroyed = false;
+    this._scheduler = callbacks.scheduler;
 
     callbacks.getProgress().then(progress => {
+      if (this._destroyed) return;
+      const saved = this._snapshot;
+      this._snapshot = null;
       this._state = {
         mode: null,
         level: 1,
         sequence: [],
-        currentStep: 1,    // which pad to fill next (1–4, pad 0 is given)
+        currentStep: 1,    // which pad to fill next (1–4, pad 0 is given; 5 once the goal is reached)
+        choices: null,     // for the current pad, in screen order
+        tried: [],         // wrong choices already greyed out
+        attempt: 0,        // tries at the current pad (answer log)
+        shownAt: 0,        // when the current pad's choices appeared
+        nextLevel: 1,      // where "Next" goes, from the difficulty service
         modeLevels: progress.custom?.modeLevels || {},
       };
-      this._showModeSelect();
+
+      // A link like #/game/number-hop?mode=5 goes straight to that mode;
+      // otherwise back to the level the child left, if they left one
+      const step = Number(callbacks.params?.mode) || saved?.mode;
+      if (!MODES.some(m => m.step === step)) this._showModeSelect();
+      else if (saved?.mode === step) this._startMode(step, saved);
+      else this._startMode(step);
     });
   },
 
@@ -119,6 +139,48 @@ const NumberHopGame = {
     this._callbacks = null;
     this._el = null;
     this._state = null;
+    this._snapshot = null;
+  },
+
+  /** The level in play and how far the frog got; null on the mode screen. */
+  saveState() {
+    if (!this._state) return this._snapshot;
+    const { mode, level, nextLevel, sequence, currentStep, choices, tried, attempt } = this._state;
+    if (!mode) return null;
+    // Goal reached: next time starts where "Next" would have gone
+    if (currentStep >= sequence.length) return { mode, level: nextLevel, currentStep: 1 };
+    return { mode, level, currentStep, choices, tried, attempt };
+  },
+
+  /** Pick up a saveState() from last time. */
+  restoreState(snapshot) {
+    const { mode, level, currentStep, choices, tried, attempt } = snapshot;
+    if (!MODES.some(m => m.step === mode) || !Number.isInteger(level) || level < 1) return;
+    this._snapshot = {
+      mode,
+      level,
+      currentStep: Number.isInteger(currentStep) && currentStep >= 1 && currentStep <= 4 ? currentStep : 1,
+      choices: Array.isArray(choices) ? choices : null,
+      tried:   Array.isArray(tried) ? tried : [],
+      attempt: Number.isInteger(attempt) ? attempt : 0,
+    };
+  },
+
+  /** Another tab saved progress: keep the higher level of each mode. */
+  onExternalProgress(progress) {
+    if (!this._state) return;
+    const levels = this._state.modeLevels;
+    for (const [mode, level] of Object.entries(progress.custom?.modeLevels || {})) {
+      levels[mode] = Math.max(levels[mode] || 1, level);
+    }
+    if (this._container.querySelector('.nh-mode-screen')) this._showModeSelect();
+  },
+
+  /** Plain words for a logged mistake, for the grown-up dashboard. */
+  describeMiss(itemId, answer) {
+    const match = /^by(\d+)-(\d+)$/.exec(itemId);
+    if (!match) return null;
+    return `says ${answer} instead of ${match[2]} when counting by ${match[1]}s`;
   },
 
   // ══════════════════════════════════════
@@ -126,6 +188,8 @@ const NumberHopGame = {
   // ══════════════════════════════════════
 
   _showModeSelect() {
+    this._callbacks.setParams({});
+    this._state.mode = null;
     this._container.innerHTML = `
       <div class="nh-game">
         <button class="fm-exit-btn" id="nh-exit">\u{2715}</button>
@@ -181,11 +245,19 @@ const NumberHopGame = {
   //  Game screen
   // ══════════════════════════════════════
 
-  _startMode(step) {
+  /** Play `step` from its saved level, or from `resume` (restoreState) to the very pad. */
+  _startMode(step, resume = null) {
+    this._callbacks.setParams({ mode: step });
     this._state.mode = step;
-    this._state.level = this._state.modeLevels[step] || 1;
+    this._state.level = resume?.level ?? (this._state.modeLevels[step] || 1);
+    this._earnLevelSticker();
     this._buildGameScreen();
-    this._startLevel();
+    this._startLevel(resume);
+  },
+
+  /** The mode's level-3 sticker, once the child is actually playing level 3 or above. */
+  _earnLevelSticker() {
+    if (this._state.level >= 3) this._callbacks.earnSticker(`by${this._state.mode}-level-3`);
   },
 
   _buildGameScreen() {
@@ -231,7 +303,9 @@ const NumberHopGame = {
 
     this._el.nextBtn.addEventListener('click', () => {
       Audio.click();
-      this._state.level++;
+      const promoted = this._state.nextLevel > this._state.level;
+      this._state.level = this._state.nextLevel;
+      if (promoted) this._earnLevelSticker();
       this._startLevel();
     });
   },
@@ -240,14 +314,14 @@ const NumberHopGame = {
   //  Level & step logic
   // ══════════════════════════════════════
 
-  _startLevel() {
-    if (this._destroyed) return;
-
+  _startLevel(resume = null) {
     const { mode, level } = this._state;
     const sequence = generateSequence(mode, level);
 
     this._state.sequence = sequence;
-    this._state.currentStep = 1;
+    this._state.currentStep = resume?.currentStep ?? 1;
+    this._state.choices = resume?.choices ?? null;
+    this._state.tried = resume?.tried ?? [];
 
     // Header
     const modeInfo = MODES.find(m => m.step === mode);
@@ -262,16 +336,14 @@ const NumberHopGame = {
     // Build the pond
     this._renderPond();
 
-    // Position frog on the first pad
+    // Position frog on the last pad filled in (the first, on a new level)
     this._el.frog.style.opacity = '0';
-    requestAnimationFrame(() => {
-      if (this._destroyed) return;
-      this._positionFrog(0, false);
+    this._scheduler.frame(() => {
+      this._positionFrog(this._state.currentStep - 1, false);
       this._el.frog.style.opacity = '1';
     });
 
-    // Show choices for step 1
-    this._showStepChoices();
+    this._showStepChoices(resume?.attempt);
   },
 
   _renderPond() {
@@ -328,11 +400,21 @@ const NumberHopGame = {
     });
   },
 
-  _showStepChoices() {
-    if (this._destroyed) return;
+  /** Choices for the current pad; `attempt` carries on a count restored from a snapshot. */
+  _showStepChoices(attempt = 0) {
     const { sequence, currentStep, mode } = this._state;
     const answer = sequence[currentStep];
-    const choices = generateChoices(answer, mode);
+
+    // Restored choices keep their places; a new pad gets a fresh set
+    if (!this._state.choices?.includes(answer)) {
+      this._state.choices = generateChoices(answer, mode);
+      this._state.tried = [];
+      attempt = 0;
+    }
+    const { choices, tried } = this._state;
+    this._state.attempt = attempt;
+    this._state.shownAt = Date.now();
+    this._callbacks.ask(`by${mode}-${answer}`, { skills: [`skip-count-${mode}`], attempt });
 
     this._el.choices.innerHTML = '';
     choices.forEach((value, i) => {
@@ -340,6 +422,10 @@ const NumberHopGame = {
       btn.className = 'nh-choice-btn';
       btn.textContent = value;
       btn.style.animationDelay = `${i * 0.07}s`;
+      if (tried.includes(value)) {
+        btn.classList.add('nh-wrong');
+        btn.disabled = true;
+      }
       btn.addEventListener('click', () => this._handleChoice(value, btn));
       this._el.choices.appendChild(btn);
     });
@@ -363,8 +449,8 @@ const NumberHopGame = {
 
     if (animate) {
       this._el.frog.classList.add('nh-hopping');
-      setTimeout(() => {
-        if (!this._destroyed) this._el.frog.classList.remove('nh-hopping');
+      this._scheduler.timeout(() => {
+        this._el.frog.classList.remove('nh-hopping');
       }, 500);
     }
   },
@@ -374,18 +460,25 @@ const NumberHopGame = {
   // ══════════════════════════════════════
 
   _handleChoice(value, btn) {
-    const { sequence, currentStep } = this._state;
+    const { sequence, currentStep, mode } = this._state;
     const answer = sequence[currentStep];
+    this._state.attempt = this._callbacks.answer(value, value === answer);
 
     if (value === answer) {
       // ── Correct ──
       Audio.success();
       btn.classList.add('nh-correct');
+      this._tracker().report({
+        correct: true,
+        attempts: this._state.attempt,
+        responseMs: Date.now() - this._state.shownAt,
+      });
 
       // Disable all choices during transition
       this._el.choices.querySelectorAll('.nh-choice-btn').forEach(b => {
         b.disabled = true;
       });
+      this._state.choices = null;
 
       // Reveal the pad
       const pads = this._el.pond.querySelectorAll('.nh-pad');
@@ -405,24 +498,40 @@ const NumberHopGame = {
 
         // Mark goal as complete
         pad.classList.add('nh-goal-complete');
+        this._state.currentStep++;
 
         // Big celebration
-        setTimeout(() => {
-          if (this._destroyed) return;
+        this._scheduler.timeout(() => {
           Audio.celebrate();
           this._spawnConfetti();
         }, 400);
 
+        // Up, down or stay, from how the last few pads went
+        const tracker = this._tracker();
+        const change = tracker.recommend();
+        const { level } = this._state;
+        this._state.nextLevel =
+          change === 'promote' ? level + 1 :
+          change === 'demote'  ? Math.max(1, level - 1) : level;
+        if (change !== 'hold') tracker.reset();
+        const { nextLevel } = this._state;
+        this._el.nextBtn.textContent =
+          nextLevel > level ? 'Next Level \u{2192}' :
+          nextLevel < level ? 'Easier Hops \u{2192}' : 'Hop Again \u{2192}';
+
         // Save progress
-        this._state.modeLevels[this._state.mode] = this._state.level + 1;
+        this._state.modeLevels[this._state.mode] = this._state.nextLevel;
         this._callbacks.onProgress({
           currentLevel: this._state.level,
           custom: { modeLevels: { ...this._state.modeLevels } },
         });
 
+        // The level is the round; if screen time is up, the platform takes over
+        if (!this._callbacks.onRoundComplete()) return;
+
         // Show next level button
-        setTimeout(() => {
-          if (!this._destroyed) this._el.nextBtn.style.display = '';
+        this._scheduler.timeout(() => {
+          this._el.nextBtn.style.display = '';
         }, 1500);
 
       } else {
@@ -440,8 +549,7 @@ const NumberHopGame = {
         }
 
         // Show new choices after the hop animation
-        setTimeout(() => {
-          if (this._destroyed) return;
+        this._scheduler.timeout(() => {
           this._el.feedback.textContent = '';
           this._el.feedback.className = 'nh-feedback';
           this._showStepChoices();
@@ -453,6 +561,7 @@ const NumberHopGame = {
       Audio.gentle();
       btn.classList.add('nh-wrong');
       btn.disabled = true;
+      this._state.tried.push(value);
 
       this._el.feedback.textContent = randFrom(WRONG_MSGS);
       this._el.feedback.className = 'nh-feedback nh-feedback-show nh-feedback-nudge';
@@ -461,12 +570,17 @@ const NumberHopGame = {
       const pads = this._el.pond.querySelectorAll('.nh-pad');
       const currentPad = pads[currentStep];
       currentPad.classList.add('nh-wiggle');
-      setTimeout(() => {
-        if (!this._destroyed) currentPad.classList.remove('nh-wiggle');
+      this._scheduler.timeout(() => {
+        currentPad.classList.remove('nh-wiggle');
       }, 500);
     }
   },
 
+  /** The difficulty tracker for the current counting mode. */
+  _tracker() {
+    return this._callbacks.difficulty(`by${this._state.mode}`);
+  },
+
   // ══════════════════════════════════════
   //  Confetti
   // ══════════════════════════════════════
@@ -488,8 +602,8 @@ const NumberHopGame = {
       el.appendChild(p);
     }
 
-    setTimeout(() => {
-      if (!this._destroyed) el.innerHTML = '';
+    this._scheduler.timeout(() => {
+      el.innerHTML = '';
     }, 1200);
   },
 
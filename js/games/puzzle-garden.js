@@ -44,9 +44,12 @@ const ITEM_SETS_3 = [
 // 4 templates × 12 pairs  = 48 puzzles
 // 2 templates × 8 triplets = 16 puzzles
 //                  Total  = 64 puzzles per loop
+// id is logged with each answer (as "puzzle-<id>"), e.g. "aab-🌸🌼":
+// it comes from the pattern and the cast, so reordering keeps it stable
+const makePuzzle = (template, items) => ({ id: `${patternUnit(template)}-${items.join('')}`, template, items });
 const PUZZLES = [
-  ...TEMPLATES_2.flatMap(t => ITEM_SETS_2.map(items => ({ template: t, items }))),
-  ...TEMPLATES_3.flatMap(t => ITEM_SETS_3.map(items => ({ template: t, items }))),
+  ...TEMPLATES_2.flatMap(t => ITEM_SETS_2.map(items => makePuzzle(t, items))),
+  ...TEMPLATES_3.flatMap(t => ITEM_SETS_3.map(items => makePuzzle(t, items))),
 ];
 
 // Pool for distractor choices — kept distinct from pattern emojis
@@ -70,6 +73,22 @@ function pick(arr) {
   return arr[Math.floor(Math.random() * arr.length)];
 }
 
+/** True if `deck` is an order of all `size` puzzles, e.g. from a snapshot. */
+function isDeck(deck, size) {
+  return Array.isArray(deck) && deck.length === size &&
+    new Set(deck).size === size && deck.every(i => Number.isInteger(i) && i >= 0 && i < size);
+}
+
+/** The repeating unit of a template, e.g. [0,0,1,0,0,1] → "aab". */
+function patternUnit(template) {
+  const letters = template.map(i => 'abc'[i]).join('');
+  for (let len = 2; len < letters.length; len++) {
+    const unit = letters.slice(0, len);
+    if (unit.repeat(Math.ceil(letters.length / len)).startsWith(letters)) return unit;
+  }
+  return letters;
+}
+
 /** Build 3 shuffled choices: 1 correct + 2 distinct wrong. */
 function buildChoices(puzzle) {
   const { template, items } = puzzle;
@@ -94,10 +113,16 @@ const PuzzleGardenGame = {
   title:    'Puzzle Garden',
   thumbnail: '🌻',
   category: 'thinking',
+  stickers: {
+    'five-puzzles':  { emoji: '🌷', label: 'Solved 5 garden puzzles' },
+    'every-puzzle':  { emoji: '🏵️', label: 'Solved every garden puzzle' },
+  },
 
   _container: null,
   _callbacks: null,
   _state:     null,
+  _scheduler: null,
+  _snapshot:  null,   // from restoreState(), picked up by init()
   _destroyed: false,
 
   // ── Lifecycle ──────────────────────────────────────────────
@@ -106,11 +131,31 @@ const PuzzleGardenGame = {
     this._container = container;
     this._callbacks = callbacks;
     this._destroyed = false;
+    this._scheduler = callbacks.scheduler;
+
+    if (this._snapshot) return this._start();
+
+    // No snapshot (first visit, or it was dropped): carry on from the saved progress
+    callbacks.getProgress().then(progress => {
+      if (this._destroyed) return;
+      if (progress.custom) this.restoreState(progress.custom);
+      this._start();
+    }, err => {
+      if (this._destroyed) return;
+      console.error('[PuzzleGarden] could not load progress, starting fresh:', err);
+      this._start();
+    });
+  },
 
-    const saved = callbacks.getProgress();
+  /** Set up from the picked-up snapshot, if there is one, and show the first garden. */
+  _start() {
+    const saved = this._snapshot;
+    this._snapshot = null;
     this._state = {
-      puzzleIdx: saved?.custom?.puzzleIdx ?? 0,
-      deck: null,   // shuffled index list, built per cycle
+      puzzleIdx: saved?.puzzleIdx ?? 0,
+      deck:      saved?.deck ?? null,      // shuffled index list, reshuffled per cycle
+      choices:   saved?.choices ?? null,   // the current puzzle's, in screen order
+      tried:     saved?.tried ?? [],       // wrong choices already greyed out
       locked: false,
     };
 
@@ -119,6 +164,35 @@ const PuzzleGardenGame = {
 
   destroy() {
     this._destroyed = true;
+    this._state = null;
+    this._snapshot = null;
+  },
+
+  /** The garden on screen, down to the choices already tried. */
+  saveState() {
+    if (!this._state) return this._snapshot;
+    const { puzzleIdx, deck, choices, tried } = this._state;
+    return { puzzleIdx, deck, choices, tried };
+  },
+
+  /** Pick up a saveState() from last time; a deck from a different puzzle list is dropped. */
+  restoreState(snapshot) {
+    const { puzzleIdx, deck, choices, tried } = snapshot;
+    if (!Number.isInteger(puzzleIdx) || puzzleIdx < 0) return;
+    this._snapshot = {
+      puzzleIdx,
+      deck:    isDeck(deck, PUZZLES.length) ? deck : null,
+      choices: Array.isArray(choices) ? choices : null,
+      tried:   Array.isArray(tried) ? tried : [],
+    };
+  },
+
+  /** Plain words for a logged mistake, for the grown-up dashboard. */
+  describeMiss(itemId, answer) {
+    const puzzle = PUZZLES.find(p => `puzzle-${p.id}` === itemId);
+    if (!puzzle) return null;
+    const unit = patternUnit(puzzle.template).toUpperCase();
+    return `picks ${answer} instead of ${puzzle.items[puzzle.template.at(-1)]} in an ${unit} pattern`;
   },
 
   // ── Render ─────────────────────────────────────────────────
@@ -126,16 +200,22 @@ const PuzzleGardenGame = {
   _render() {
     const cyclePos = this._state.puzzleIdx % PUZZLES.length;
 
-    // Build or reshuffle the deck at the start of every new cycle
-    if (!this._state.deck || cyclePos === 0) {
+    // First visit, or a deck that couldn't be restored
+    if (!this._state.deck) {
       this._state.deck = shuffle(PUZZLES.map((_, i) => i));
     }
 
     const puzzle  = PUZZLES[this._state.deck[cyclePos]];
-    const choices = buildChoices(puzzle);
     const correct = puzzle.items[puzzle.template.at(-1)];
     const shown   = puzzle.template.slice(0, -1);      // first 5 slots
 
+    // Restored choices keep their places; a new puzzle gets a fresh set
+    if (!this._state.choices?.includes(correct)) {
+      this._state.choices = buildChoices(puzzle);
+      this._state.tried = [];
+    }
+    const { choices, tried } = this._state;
+
     this._container.innerHTML = `
       <div class="pg-game">
         <div class="pg-header">
@@ -160,8 +240,8 @@ const PuzzleGardenGame = {
 
           <div class="pg-choices">
             ${choices.map((emoji, i) => `
-              <button class="pg-choice" data-emoji="${emoji}"
-                      style="animation-delay:${i * 0.09}s">
+              <button class="pg-choice${tried.includes(emoji) ? ' pg-wrong' : ''}" data-emoji="${emoji}"
+                      style="animation-delay:${i * 0.09}s" ${tried.includes(emoji) ? 'disabled' : ''}>
                 ${emoji}
               </button>
             `).join('')}
@@ -174,6 +254,10 @@ const PuzzleGardenGame = {
       </div>`;
 
     this._state.locked = false;
+    this._callbacks.ask(`puzzle-${puzzle.id}`, {
+      skills: [`pattern-${patternUnit(puzzle.template)}`],
+      attempt: tried.length,
+    });
 
     const $  = sel => this._container.querySelector(sel);
     const $$ = sel => this._container.querySelectorAll(sel);
@@ -195,6 +279,7 @@ const PuzzleGardenGame = {
 
   _checkAnswer(chosen, correct, btn) {
     const $ = sel => this._container.querySelector(sel);
+    this._callbacks.answer(chosen, chosen === correct);
 
     if (chosen === correct) {
       Audio.success();
@@ -217,24 +302,31 @@ const PuzzleGardenGame = {
 
       this._spawnConfetti();
 
-      setTimeout(() => {
-        if (this._destroyed) return;
-        this._state.puzzleIdx++;
-        this._callbacks.onProgress({ custom: { puzzleIdx: this._state.puzzleIdx } });
-        this._render();
+      // Move on now, so a snapshot taken during the celebration resumes at the next garden
+      this._state.puzzleIdx++;
+      this._state.choices = null;
+      if (this._state.puzzleIdx % PUZZLES.length === 0) {
+        this._state.deck = shuffle(PUZZLES.map((_, i) => i));   // a new cycle
+      }
+      if (this._state.puzzleIdx >= 5) this._callbacks.earnSticker('five-puzzles');
+      if (this._state.puzzleIdx >= PUZZLES.length) this._callbacks.earnSticker('every-puzzle');
+      this._callbacks.onProgress({ custom: { puzzleIdx: this._state.puzzleIdx, deck: this._state.deck } });
+
+      this._scheduler.timeout(() => {
+        if (this._callbacks.onRoundComplete()) this._render();
       }, 1400);
 
     } else {
       Audio.gentle();
       btn.classList.add('pg-wrong');
       btn.disabled = true;
+      this._state.tried.push(chosen);
 
       const fb = $('#pg-feedback');
       fb.textContent = pick(WRONG_MSGS);
       fb.className = 'pg-feedback pg-feedback-show pg-feedback-nudge';
 
-      setTimeout(() => {
-        if (this._destroyed) return;
+      this._scheduler.timeout(() => {
         fb.className = 'pg-feedback';
         fb.textContent = '';
       }, 1200);
@@ -261,7 +353,7 @@ const PuzzleGardenGame = {
       el.appendChild(p);
     }
 
-    setTimeout(() => { if (!this._destroyed) el.innerHTML = ''; }, 1200);
+    this._scheduler.timeout(() => { el.innerHTML = ''; }, 1200);
   },
 };
 
@@ -228,6 +228,17 @@ function buildChoices(shapeName) {
   return shuffle([shapeName, ...wrongs]);
 }
 
+/** "a house", "an owl". */
+function withArticle(word) {
+  return /^[aeiou]/i.test(word) ? `an ${word}` : `a ${word}`;
+}
+
+/** True if `deck` is an order of all `size` builds, e.g. from a snapshot. */
+function isDeck(deck, size) {
+  return Array.isArray(deck) && deck.length === size &&
+    new Set(deck).size === size && deck.every(i => Number.isInteger(i) && i >= 0 && i < size);
+}
+
 // ══════════════════════════════════════════════════════════════
 //  Game object
 // ══════════════════════════════════════════════════════════════
@@ -237,32 +248,91 @@ const ShapeBuilderGame = {
   thumbnail: '📐',
   category:  'thinking',
   ageRange:  [4, 8],
+  stickers: Object.fromEntries(BUILDS.map(b => [
+    b.label.toLowerCase(), { emoji: b.emoji, label: `Built ${withArticle(b.label)}` },
+  ])),
 
   _container: null,
   _callbacks: null,
   _state:     null,
+  _scheduler: null,
+  _snapshot:  null,   // from restoreState(), picked up by init()
   _destroyed: false,
 
   init(container, callbacks) {
     this._container = container;
     this._callbacks = callbacks;
     this._destroyed = false;
+    this._scheduler = callbacks.scheduler;
+
+    if (this._snapshot) return this._start();
+
+    // No snapshot (first visit, or it was dropped): carry on from the saved progress
+    callbacks.getProgress().then(progress => {
+      if (this._destroyed) return;
+      if (progress.custom) this.restoreState(progress.custom);
+      this._start();
+    }, err => {
+      if (this._destroyed) return;
+      console.error('[ShapeBuilder] could not load progress, starting fresh:', err);
+      this._start();
+    });
+  },
 
-    const saved = callbacks.getProgress();
-    let deck = saved?.custom?.deck ?? null;
-    if (!deck || deck.length !== BUILDS.length) deck = null;
-
+  /** Set up from the picked-up snapshot, if there is one, and show the first build. */
+  _start() {
+    const saved = this._snapshot;
+    this._snapshot = null;
     this._state = {
-      buildIdx: saved?.custom?.buildIdx ?? 0,
-      pieceIdx: saved?.custom?.pieceIdx ?? 0,
-      deck,
+      buildIdx: saved?.buildIdx ?? 0,
+      pieceIdx: saved?.pieceIdx ?? 0,   // pieces placed; all of them = finished, waiting for "Next Build"
+      deck:     saved?.deck ?? null,
+      choices:  saved?.choices ?? null,   // for the next piece, in screen order
+      tried:    saved?.tried ?? [],       // wrong choices already greyed out
       locked: false,
     };
 
     this._render();
   },
 
-  destroy() { this._destroyed = true; },
+  destroy() {
+    this._destroyed = true;
+    this._state = null;
+    this._snapshot = null;
+  },
+
+  /** The build on screen, how many pieces are in and the choices already tried. */
+  saveState() {
+    if (!this._state) return this._snapshot;
+    const { buildIdx, pieceIdx, deck, choices, tried } = this._state;
+    return { buildIdx, pieceIdx, deck, choices, tried };
+  },
+
+  /** Pick up a saveState() from last time; a half-built picture needs the deck it came from. */
+  restoreState(snapshot) {
+    const { buildIdx, pieceIdx, deck, choices, tried } = snapshot;
+    if (!Number.isInteger(buildIdx) || buildIdx < 0) return;
+    if (!isDeck(deck, BUILDS.length)) {
+      this._snapshot = { buildIdx };
+      return;
+    }
+    const build = BUILDS[deck[buildIdx % BUILDS.length]];
+    const placed = Number.isInteger(pieceIdx) && pieceIdx >= 0 && pieceIdx <= build.pieces.length;
+    this._snapshot = {
+      buildIdx,
+      deck,
+      pieceIdx: placed ? pieceIdx : 0,
+      choices:  Array.isArray(choices) && choices.every(s => SHAPE_SVG[s]) ? choices : null,
+      tried:    Array.isArray(tried) ? tried : [],
+    };
+  },
+
+  /** Plain words for a logged mistake, for the grown-up dashboard. */
+  describeMiss(itemId, answer) {
+    const shape = /^shape-(\w+)$/.exec(itemId)?.[1];
+    if (!shape) return null;
+    return `calls ${withArticle(shape)} ${withArticle(String(answer))}`;
+  },
 
   _render() {
     // Create deck on first render only — never mid-build
@@ -274,8 +344,16 @@ const ShapeBuilderGame = {
     const build    = BUILDS[this._state.deck[cyclePos]];
     const pieceIdx = this._state.pieceIdx;
     const piece    = build.pieces[pieceIdx];
-    const choices  = buildChoices(piece.s);
     const total    = build.pieces.length;
+    const done     = pieceIdx >= total;
+
+    // Restored choices keep their places; a new piece gets a fresh set
+    if (!done && !this._state.choices?.includes(piece.s)) {
+      this._state.choices = buildChoices(piece.s);
+      this._state.tried = [];
+    }
+    const choices = done ? [] : this._state.choices;
+    const { tried } = this._state;
 
     const svgParts = build.pieces.map((p, i) =>
       pieceSVG(p, i < pieceIdx ? 'fill' : i === pieceIdx ? 'target' : 'ghost')
@@ -286,7 +364,7 @@ const ShapeBuilderGame = {
         <div class="sb-header">
           <button class="fm-exit-btn" id="sb-back">&#x2190;</button>
           <span class="sb-build-label">${build.emoji} ${build.label}</span>
-          <span class="sb-piece-count">${pieceIdx + 1} / ${total}</span>
+          <span class="sb-piece-count">${done ? 'Done! ✓' : `${pieceIdx + 1} / ${total}`}</span>
         </div>
 
         <div class="sb-canvas-wrap">
@@ -297,11 +375,12 @@ const ShapeBuilderGame = {
           </div>
         </div>
 
-        <p class="sb-prompt">Place the <strong>${piece.s}</strong>!</p>
+        ${done ? '' : `<p class="sb-prompt">Place the <strong>${piece.s}</strong>!</p>`}
 
         <div class="sb-choices">
           ${choices.map(s => `
-            <button class="sb-choice" data-shape="${s}">
+            <button class="sb-choice${tried.includes(s) ? ' sb-wrong' : ''}" data-shape="${s}"
+                    ${tried.includes(s) ? 'disabled' : ''}>
               <svg class="sb-choice-svg" viewBox="0 0 60 60" xmlns="http://www.w3.org/2000/svg">
                 ${SHAPE_SVG[s](SHAPE_COLOR[s])}
               </svg>
@@ -313,13 +392,16 @@ const ShapeBuilderGame = {
         <div class="fm-confetti" id="sb-confetti"></div>
       </div>`;
 
-    this._state.locked = false;
-
     this._container.querySelector('#sb-back').addEventListener('click', () => {
       Audio.click();
       this._callbacks.onExit();
     });
 
+    if (done) return this._showDone(build);
+
+    this._state.locked = false;
+    this._callbacks.ask(`shape-${piece.s}`, { skills: [`shape-${piece.s}`], attempt: tried.length });
+
     this._container.querySelectorAll('.sb-choice').forEach(btn => {
       btn.addEventListener('click', () => {
         if (this._state.locked) return;
@@ -330,83 +412,81 @@ const ShapeBuilderGame = {
 
   _check(chosen, correct, btn, build) {
     const $ = sel => this._container.querySelector(sel);
+    this._callbacks.answer(chosen, chosen === correct);
 
     if (chosen === correct) {
       Audio.success();
       this._state.locked = true;
       btn.classList.add('sb-correct');
 
-      const allDone = this._state.pieceIdx + 1 >= build.pieces.length;
-      const fb = $('#sb-feedback');
-      fb.className = 'sb-feedback sb-feedback-show';
-
-      if (allDone) {
-        // Show completed picture — re-render SVG with all pieces filled
-        const canvas = this._container.querySelector('.sb-canvas');
-        if (canvas) {
-          canvas.innerHTML = build.pieces.map(p => pieceSVG(p, 'fill')).join('');
-        }
-        // Hide choices & prompt, show celebration + Next Build button
-        this._container.querySelector('.sb-choices').style.display = 'none';
-        this._container.querySelector('.sb-prompt').style.display = 'none';
-        this._container.querySelector('.sb-piece-count').textContent = 'Done! ✓';
-        fb.textContent = `${build.emoji} You built a ${build.label}! Amazing! 🌟`;
-
-        const nextBtn = document.createElement('button');
-        nextBtn.className = 'sb-next-btn';
-        nextBtn.textContent = '✨ Next Build →';
-        nextBtn.addEventListener('click', () => {
-          Audio.click();
-          this._state.buildIdx++;
-          this._state.pieceIdx = 0;
-          if (this._state.buildIdx % BUILDS.length === 0) {
-            this._state.deck = shuffle(BUILDS.map((_, i) => i));
-          }
-          this._callbacks.onProgress({
-            custom: {
-              buildIdx: this._state.buildIdx,
-              pieceIdx: 0,
-              deck:     this._state.deck,
-            },
-          });
-          this._render();
-        });
-        this._container.querySelector('.sb-game').appendChild(nextBtn);
+      // Place the piece now, so a snapshot taken before the next render already has it
+      this._state.pieceIdx++;
+      this._state.choices = null;
+      this._callbacks.onProgress({
+        custom: {
+          buildIdx: this._state.buildIdx,
+          pieceIdx: this._state.pieceIdx,
+          deck:     this._state.deck,
+        },
+      });
 
+      if (this._state.pieceIdx >= build.pieces.length) {
+        // Show the completed picture with its Next Build button
+        this._render();
         this._spawnConfetti();
+        this._callbacks.earnSticker(build.label.toLowerCase());
       } else {
+        const fb = $('#sb-feedback');
+        fb.className = 'sb-feedback sb-feedback-show';
         fb.textContent = 'Perfect! ⭐';
-        setTimeout(() => {
-          if (this._destroyed) return;
-          this._state.pieceIdx++;
-          this._callbacks.onProgress({
-            custom: {
-              buildIdx: this._state.buildIdx,
-              pieceIdx: this._state.pieceIdx,
-              deck:     this._state.deck,
-            },
-          });
-          this._render();
-        }, 1100);
+        this._scheduler.timeout(() => this._render(), 1100);
       }
 
     } else {
       Audio.gentle();
       btn.classList.add('sb-wrong');
       btn.disabled = true;
+      this._state.tried.push(chosen);
 
       const fb = $('#sb-feedback');
       fb.textContent = 'Look at the glowing outline! 👀';
       fb.className = 'sb-feedback sb-feedback-show sb-feedback-nudge';
 
-      setTimeout(() => {
-        if (this._destroyed) return;
+      this._scheduler.timeout(() => {
         fb.className = 'sb-feedback';
         fb.textContent = '';
       }, 1200);
     }
   },
 
+  /** Celebrate a finished picture and offer the next build. */
+  _showDone(build) {
+    const fb = this._container.querySelector('#sb-feedback');
+    fb.className = 'sb-feedback sb-feedback-show';
+    fb.textContent = `${build.emoji} You built a ${build.label}! Amazing! 🌟`;
+
+    const nextBtn = document.createElement('button');
+    nextBtn.className = 'sb-next-btn';
+    nextBtn.textContent = '✨ Next Build →';
+    nextBtn.addEventListener('click', () => {
+      Audio.click();
+      this._state.buildIdx++;
+      this._state.pieceIdx = 0;
+      if (this._state.buildIdx % BUILDS.length === 0) {
+        this._state.deck = shuffle(BUILDS.map((_, i) => i));
+      }
+      this._callbacks.onProgress({
+        custom: {
+          buildIdx: this._state.buildIdx,
+          pieceIdx: 0,
+          deck:     this._state.deck,
+        },
+      });
+      if (this._callbacks.onRoundComplete()) this._render();
+    });
+    this._container.querySelector('.sb-game').appendChild(nextBtn);
+  },
+
   _spawnConfetti() {
     const colors = ['#FF6B6B','#FFD93D','#6BCB77','#4D96FF','#FF6BCB','#A66CFF'];
     const el = this._container.querySelector('#sb-confetti');
@@ -423,7 +503,7 @@ const ShapeBuilderGame = {
       p.style.setProperty('--r',  `${Math.random() * 720 - 360}deg`);
       el.appendChild(p);
     }
-    setTimeout(() => { if (!this._destroyed) el.innerHTML = ''; }, 1800);
+    this._scheduler.timeout(() => { el.innerHTML = ''; }, 1800);
   },
 };
 
@@ -0,0 +1,68 @@
+/**
+ * Learning Insights
+ *
+ * Pure functions that turn answer-log entries (see answers.js) into
+ * what a grown-up wants to know: how often the child gets things
+ * right first time, whether that's improving, and which specific
+ * mix-ups keep coming back.
+ *
+ *   const entries = await AnswerLog.get(profileId, 'number-hop');
+ *   Insights.accuracy(entries);        // { correct, total, rate }
+ *   Insights.dailyAccuracy(entries);   // [{ day, correct, total, rate }]
+ *   Insights.mostMissed(entries);      // [{ itemId, answer, count }]
+ *
+ * Accuracy only counts first tries: a second try after a nudge says
+ * less about what the child knew.
+ */
+
+function firstTries(entries) {
+  return entries.filter(e => e.attempt === 1);
+}
+
+function summarize(entries) {
+  const total = entries.length;
+  const correct = entries.filter(e => e.correct).length;
+  return { correct, total, rate: total ? correct / total : null };
+}
+
+export const Insights = {
+  /** First-try accuracy over all entries. rate is null when there are none. */
+  accuracy(entries) {
+    return summarize(firstTries(entries));
+  },
+
+  /** First-try accuracy per calendar day (local time), oldest first, last `days` days played. */
+  dailyAccuracy(entries, days = 14) {
+    const byDay = new Map();
+    for (const e of firstTries(entries)) {
+      const d = new Date(e.at);
+      const day = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(e);
+    }
+    return [...byDay.keys()].sort().slice(-days)
+      .map(day => ({ day, ...summarize(byDay.get(day)) }));
+  },
+
+  /**
+   * The wrong answers given most often, as { itemId, answer, count },
+   * most frequent first. A mix-up has to happen at least `minCount`
+   * times to count as a pattern rather than a slip.
+   */
+  mostMissed(entries, { limit = 5, minCount = 2 } = {}) {
+    const counts = new Map();
+    for (const e of entries) {
+      if (e.correct) continue;
+      const key = JSON.stringify([e.itemId, e.answer]);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...counts.entries()]
+      .filter(([, count]) => count >= minCount)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([key, count]) => {
+        const [itemId, answer] = JSON.parse(key);
+        return { itemId, answer, count };
+      });
+  }
+};
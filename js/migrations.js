@@ -0,0 +1,96 @@
+/**
+ * Schema Migrations
+ *
+ * Every blob the platform stores carries a `version` field. When a
+ * blob on disk is older than the code that reads it, the ordered
+ * upgrade steps registered here run on load (1 → 2 → 3 …).
+ * A blob with no `version` at all is treated as version 0.
+ *
+ * Each step is a plain function, old blob → new blob, so it can be
+ * checked on its own against a fixture:
+ *
+ *   const step = Migrations.getStep('progress', 1);
+ *   step({ version: 1, profiles: { ... } });   // → version 2 shape
+ *
+ * Steps don't need to touch `version`; run() stamps it after each one.
+ *
+ * Data written by a NEWER build of the app is never migrated down.
+ * Managers read it as-is and refuse to save over it (see isNewer).
+ *
+ * A blob that can't be upgraded (a step is missing, or throws) is
+ * never saved over either: managers go through tryRun(), which logs
+ * the failure, tells onFailure() handlers (app.js puts it in the
+ * problems log) and hands back null. tools/check-migrations.mjs runs
+ * every step against the fixtures in tools/fixtures/.
+ */
+
+const steps = new Map();   // key → Map(fromVersion → step)
+const failureHandlers = new Set();
+const reported = new Set();   // keys whose failure handlers already heard, this page load
+
+export const Migrations = {
+  /** Register the step that upgrades `key` from `fromVersion` to `fromVersion + 1`. */
+  register(key, fromVersion, step) {
+    if (!steps.has(key)) steps.set(key, new Map());
+    steps.get(key).set(fromVersion, step);
+  },
+
+  getStep(key, fromVersion) {
+    return steps.get(key)?.get(fromVersion) || null;
+  },
+
+  /** True when `data` was written by a newer build than `version`. */
+  isNewer(data, version) {
+    return (data?.version ?? 0) > version;
+  },
+
+  /**
+   * Upgrade `data` to `targetVersion`, one step at a time.
+   * Returns { data, changed }. Throws if a step is missing, since
+   * skipping one would silently corrupt the save.
+   */
+  run(key, data, targetVersion) {
+    let current = data;
+    let version = current?.version ?? 0;
+    if (version >= targetVersion) return { data: current, changed: false };
+
+    while (version < targetVersion) {
+      const step = this.getStep(key, version);
+      if (!step) {
+        throw new Error(`No migration registered for "${key}" from version ${version}`);
+      }
+      current = { ...step(current), version: version + 1 };
+      version++;
+    }
+    return { data: current, changed: true };
+  },
+
+  /**
+   * Like run(), but never throws: resolves to the upgraded blob, or
+   * null if it can't be upgraded. Handlers hear about each key once.
+   */
+  tryRun(key, data, targetVersion) {
+    try {
+      return this.run(key, data, targetVersion).data;
+    } catch (e) {
+      console.error(`[Migrations] could not upgrade "${key}":`, e);
+      if (!reported.has(key)) {
+        reported.add(key);
+        failureHandlers.forEach(handler => {
+          try {
+            handler(e, key);
+          } catch (err) {
+            console.error('[Migrations] failure handler failed:', err);
+          }
+        });
+      }
+      return null;
+    }
+  },
+
+  /** Call handler(error, key) when a stored blob can't be upgraded. Returns an unsubscribe function. */
+  onFailure(handler) {
+    failureHandlers.add(handler);
+    return () => failureHandlers.delete(handler);
+  }
+};
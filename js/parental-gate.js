@@ -0,0 +1,114 @@
+/**
+ * Parental Gate
+ *
+ * Stands in front of grown-up actions (adding or removing players,
+ * resetting progress, settings, data export). Asks a multiplication
+ * question written out in words, which a pre-reader can't answer by
+ * tapping around.
+ *
+ *   if (!await ParentalGate.request('add a player')) return;
+ *
+ * Once passed, the gate stays open for GRACE_MS so a parent working
+ * through several grown-up screens isn't asked again at every step.
+ */
+
+import { Audio } from './audio.js';
+
+const GRACE_MS = 60 * 1000;
+
+const WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+let openUntil = 0;
+
+function randomFactor() {
+  return 3 + Math.floor(Math.random() * 7);   // 3–9, so the answer has two digits
+}
+
+function makeQuestion() {
+  const a = randomFactor();
+  const b = randomFactor();
+  return { text: `What is ${WORDS[a]} times ${WORDS[b]}?`, answer: a * b };
+}
+
+export const ParentalGate = {
+  /**
+   * Ask the grown-up question. Resolves true once it's answered,
+   * false if the gate is closed instead. `reason` completes the
+   * sentence "For grown-ups: to …".
+   */
+  request(reason = 'continue') {
+    if (Date.now() < openUntil) return Promise.resolve(true);
+
+    return new Promise(resolve => {
+      let question = makeQuestion();
+
+      const overlay = document.createElement('div');
+      overlay.className = 'profile-overlay gate-overlay';
+      overlay.innerHTML = `
+        <div class="profile-card gate-card" role="dialog" aria-modal="true">
+          <div class="profile-card-header">
+            <span class="profile-card-title">\u{1F510} Grown-ups only</span>
+            <button class="profile-card-close" aria-label="Close">\u{2715}</button>
+          </div>
+          <p class="gate-reason"></p>
+          <p class="gate-question"></p>
+          <input type="text" class="lock-input gate-input" inputmode="numeric"
+                 autocomplete="off" maxlength="3" aria-label="Answer">
+          <p class="backup-message backup-error gate-message"></p>
+          <button class="btn btn-primary gate-submit">Continue</button>
+        </div>`;
+
+      overlay.querySelector('.gate-reason').textContent = `For grown-ups: answer to ${reason}.`;
+      const questionEl = overlay.querySelector('.gate-question');
+      const input = overlay.querySelector('.gate-input');
+      const message = overlay.querySelector('.gate-message');
+      questionEl.textContent = question.text;
+
+      const finish = (passed) => {
+        overlay.remove();
+        document.removeEventListener('keydown', onKey);
+        if (passed) openUntil = Date.now() + GRACE_MS;
+        resolve(passed);
+      };
+
+      const submit = () => {
+        if (!input.value.trim()) return;
+        if (Number(input.value) === question.answer) {
+          Audio.success();
+          finish(true);
+          return;
+        }
+        // A new question each time, so guessing doesn't converge
+        Audio.gentle();
+        question = makeQuestion();
+        questionEl.textContent = question.text;
+        message.textContent = 'Not quite \u{2014} here\'s another one.';
+        input.value = '';
+        input.focus();
+      };
+
+      const onKey = (e) => {
+        if (e.key === 'Escape') finish(false);
+        if (e.key === 'Enter') submit();
+      };
+
+      overlay.querySelector('.profile-card-close').addEventListener('click', () => {
+        Audio.click();
+        finish(false);
+      });
+      overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) finish(false);
+      });
+      overlay.querySelector('.gate-submit').addEventListener('click', submit);
+      document.addEventListener('keydown', onKey);
+
+      document.body.appendChild(overlay);
+      setTimeout(() => input.focus(), 100);
+    });
+  },
+
+  /** Close the gate now, e.g. when a grown-up screen is left. */
+  close() {
+    openUntil = 0;
+  }
+};
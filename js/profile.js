@@ -1,50 +1,140 @@
 /**
  * Profile Manager
  *
- * Handles child profiles. Currently single-profile,
- * but the data shape supports multiple profiles for later.
+ * Handles the list of child profiles (players) on this device and
+ * which one is playing right now (null until someone picks themselves).
+ *
+ *   await ProfileManager.getAllProfiles();               // every player
+ *   await ProfileManager.getActiveProfile();             // who is playing, or null
+ *   await ProfileManager.createProfile('Amara', '🦄');   // adds and activates
+ *   await ProfileManager.setActiveProfile(id, pictures); // false if the picture password is wrong
+ *   await ProfileManager.updateProfile(id, { name });
+ *   await ProfileManager.deleteProfile(id);              // see restoreProfile() to undo
  *
  * Data shape stored under key "profiles":
  * {
  *   version: 1,
  *   active: "profile-id" | null,
  *   profiles: {
- *     "profile-id": { id, name, avatar, createdAt }
- *   }
+ *     "profile-id": {
+ *       id, name, avatar, createdAt,
+ *       birthYear: number | null,   ← optional; see ProfileManager.ageOf()
+ *       showAllAges: boolean,       ← optional grown-up override: no age filtering
+ *       picturePassword: string[]   ← optional; 2–3 emoji tapped in order to log in
+ *       dailyLimitMin: number|null  ← optional; see screen-time.js
+ *       bedtime: { from, to }|null  ← optional "HH:MM" local times; see screen-time.js
+ *       restoredAt: ISO string      ← set when undo or a backup put the player back
+ *     }
+ *   },
+ *   deleted: { "profile-id": ISO string }   ← optional; when each player was deleted
  * }
+ *
+ * `deleted` keeps sync (sync.js) from bringing a player deleted here
+ * back from another device's copy. A player put back later than its
+ * deletion (restoredAt) wins over it.
+ *
+ * Events (ProfileManager.on(name, handler) → unsubscribe):
+ *   "profiles-updated"  ({ external })          any change to any profile
+ *   "profile-changed"   (profile|null, { external })
+ *                       the active profile switched or was edited
+ * `external` is true when the change came from another tab.
  */
 
-import { Storage } from './storage.js';
+import { Storage, createStore } from './storage.js';
+import { Migrations } from './migrations.js';
+import { createEmitter } from './events.js';
 
 const KEY = 'profiles';
+const VERSION = 1;
+const AVATARS = ['\u{1F984}', '\u{1F438}', '\u{1F98A}', '\u{1F431}', '\u{1F436}', '\u{1F98B}', '\u{1F43C}', '\u{1F308}'];
+const ID_PATTERN = /^p_[0-9a-z]+$/;   // what generateId() makes
+
+// v0 → v1: blobs saved before versioning may lack either field
+Migrations.register(KEY, 0, data => ({
+  active: data.active ?? null,
+  profiles: data.profiles ?? {},
+}));
 
 function generateId() {
   return 'p_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
 }
 
-async function loadData() {
-  return await Storage.load(KEY) || { version: 1, active: null, profiles: {} };
+/** Note when `id` was deleted, for sync.js. */
+function markDeleted(data, id, at) {
+  data.deleted = { ...data.deleted, [id]: at };
+}
+
+/** `profile` put back now: no longer marked deleted, and newer than the deletion. */
+function putBack(data, profile, at) {
+  if (data.deleted) delete data.deleted[profile.id];
+  return { ...profile, restoredAt: at };
+}
+
+function samePictures(expected, given) {
+  return Array.isArray(given) &&
+    given.length === expected.length &&
+    given.every((picture, i) => picture === expected[i]);
 }
 
-async function saveData(data) {
-  await Storage.save(KEY, data);
+const { upgrade, load: loadData, mutate } = createStore(KEY, VERSION, 'Profiles', () => ({ active: null, profiles: {} }));
+
+// ── Change events ──
+
+const events = createEmitter();
+let lastActive;   // JSON of the active profile listeners last heard about
+
+function activeOf(data) {
+  return (data.active && data.profiles[data.active]) || null;
 }
 
+Storage.subscribe(KEY, async ({ external }) => {
+  const data = await loadData();
+  events.emit('profiles-updated', { external });
+
+  const active = activeOf(data);
+  const snapshot = JSON.stringify(active);
+  if (snapshot !== lastActive) {
+    lastActive = snapshot;
+    events.emit('profile-changed', active, { external });
+  }
+});
+
 export const ProfileManager = {
+  schemaVersion: VERSION,
+  avatars: AVATARS,
+
+  /** True if `id` looks like one this module generates (safe to put in markup). */
+  isProfileId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+  },
+
+  on: events.on,
+
   async getActiveProfile() {
-    const data = await loadData();
-    if (!data.active || !data.profiles[data.active]) return null;
-    return data.profiles[data.active];
+    const active = activeOf(await loadData());
+    if (lastActive === undefined) lastActive = JSON.stringify(active);
+    return active;
   },
 
-  async createProfile(name, avatar = '\u{1F984}') {
-    const data = await loadData();
-    const id = generateId();
-    const profile = { id, name, avatar, createdAt: new Date().toISOString() };
-    data.profiles[id] = profile;
-    data.active = id;
-    await saveData(data);
-    return profile;
+  async createProfile(name, avatar = '\u{1F984}', { birthYear = null } = {}) {
+    return mutate(data => {
+      const id = generateId();
+      const profile = { id, name, avatar, birthYear, createdAt: new Date().toISOString() };
+      data.profiles[id] = profile;
+      data.active = id;
+      return profile;
+    });
+  },
+
+  /** Age in years (this year minus birth year), or null if not given. */
+  ageOf(profile) {
+    if (!profile?.birthYear) return null;
+    return new Date().getFullYear() - profile.birthYear;
+  },
+
+  /** The age to filter games by, or null when the profile shows all ages. */
+  filterAgeOf(profile) {
+    return profile?.showAllAges ? null : this.ageOf(profile);
   },
 
   async getAllProfiles() {
@@ -52,23 +142,94 @@ export const ProfileManager = {
     return Object.values(data.profiles);
   },
 
-  async setActiveProfile(id) {
-    const data = await loadData();
-    if (data.profiles[id]) {
+  /** True if switching to `profile` needs its picture password. */
+  needsPictures(profile) {
+    return Array.isArray(profile?.picturePassword) && profile.picturePassword.length > 0;
+  },
+
+  /**
+   * Make `id` the active player. Profiles with a picture password
+   * only switch when `pictures` is the same sequence. Returns false
+   * otherwise, or if there is no such profile.
+   */
+  async setActiveProfile(id, pictures = null) {
+    const ok = await mutate(data => {
+      const profile = data.profiles[id];
+      if (!profile) return;
+      if (this.needsPictures(profile) && !samePictures(profile.picturePassword, pictures)) return;
       data.active = id;
-      await saveData(data);
       return true;
-    }
-    return false;
+    });
+    return ok === true;
   },
 
   async updateProfile(id, updates) {
-    const data = await loadData();
-    if (data.profiles[id]) {
-      Object.assign(data.profiles[id], updates);
-      await saveData(data);
-      return data.profiles[id];
-    }
-    return null;
+    const profile = await mutate(data => {
+      if (!data.profiles[id]) return;
+      return Object.assign(data.profiles[id], updates);
+    });
+    return profile || null;
+  },
+
+  /**
+   * Remove a profile. If it was the active one, no one is active
+   * afterwards: the next player picks themselves, picture password
+   * and all. Resolves to { profile, wasActive } for restoreProfile(),
+   * or null if there was no such profile.
+   */
+  async deleteProfile(id) {
+    const removed = await mutate(data => {
+      const profile = data.profiles[id];
+      if (!profile) return;
+      delete data.profiles[id];
+      markDeleted(data, id, new Date().toISOString());
+      const wasActive = data.active === id;
+      if (wasActive) data.active = null;
+      return { profile, wasActive };
+    });
+    return removed || null;
+  },
+
+  /** Undo deleteProfile(): put the profile back, active again if it was. */
+  async restoreProfile({ profile, wasActive }) {
+    const ok = await mutate(data => {
+      data.profiles[profile.id] = putBack(data, profile, new Date().toISOString());
+      if (wasActive) data.active = profile.id;
+      return true;
+    });
+    return ok === true;
+  },
+
+  /** The whole profiles blob, for backups. */
+  async exportData() {
+    return loadData();
+  },
+
+  /**
+   * Bring in a profiles blob from a backup.
+   * 'merge' adds the backup's profiles (same id → backup's copy wins)
+   * and keeps the current active player; 'replace' swaps everything.
+   * Returns false if the save was refused.
+   */
+  async importData(incoming, mode = 'merge') {
+    const restored = upgrade(incoming);
+    if (!restored) return false;
+    const ok = await mutate(data => {
+      const now = new Date().toISOString();
+      const profiles = {};
+      for (const [id, profile] of Object.entries(restored.profiles)) profiles[id] = putBack(data, profile, now);
+      if (mode === 'replace') {
+        for (const id of Object.keys(data.profiles)) {
+          if (!profiles[id]) markDeleted(data, id, now);
+        }
+        data.profiles = profiles;
+        data.active = restored.active ?? null;
+        return true;
+      }
+      Object.assign(data.profiles, profiles);
+      if (!data.active || !data.profiles[data.active]) data.active = restored.active ?? null;
+      return true;
+    });
+    return ok === true;
   }
 };
@@ -14,16 +14,30 @@
  *         currentLevel: number,
  *         bestLevel: number,
  *         lastPlayed: ISO string | null,
- *         custom: {}   ← game-specific data
+ *         custom: {}   ← game-specific data; updates are merged in (see mergeCustom)
  *       }
  *     }
  *   }
  * }
+ *
+ * Events (ProgressManager.on(name, handler) → unsubscribe):
+ *   "progress-updated"  ({ profileId, gameId, progress, external })
+ *       profileId/gameId/progress are set for single-game updates made
+ *       in this tab; changes from another tab or a restore only carry
+ *       `external`, so listeners should re-read what they need.
  */
 
-import { Storage } from './storage.js';
+import { Storage, createStore } from './storage.js';
+import { Migrations } from './migrations.js';
+import { createEmitter } from './events.js';
 
 const KEY = 'progress';
+const VERSION = 1;
+
+// v0 → v1: blobs saved before versioning may lack the profiles map
+Migrations.register(KEY, 0, data => ({
+  profiles: data.profiles ?? {},
+}));
 
 function makeDefault() {
   return {
@@ -35,42 +49,158 @@ function makeDefault() {
   };
 }
 
-async function loadData() {
-  return await Storage.load(KEY) || { version: 1, profiles: {} };
+/**
+ * Combine two copies of one game's progress (e.g. from a backup).
+ * The highest level and session count are kept; everything else
+ * comes from whichever copy was played most recently.
+ */
+export function mergeGameProgress(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const newer = (b.lastPlayed || '') > (a.lastPlayed || '') ? b : a;
+  return {
+    ...newer,
+    sessionsPlayed: Math.max(a.sessionsPlayed || 0, b.sessionsPlayed || 0),
+    bestLevel: Math.max(a.bestLevel || 1, b.bestLevel || 1),
+  };
+}
+
+const { upgrade, load: loadData, mutate } = createStore(KEY, VERSION, 'Progress', () => ({ profiles: {} }));
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Fold a game's `custom` update into the stored one. Fields the update
+ * leaves out are kept, and a field holding an object (Number Hop's
+ * modeLevels) is merged key by key, so a tab that hasn't heard about
+ * another tab's change doesn't wipe it.
+ */
+function mergeCustom(stored = {}, update = {}) {
+  const merged = { ...stored };
+  for (const [field, value] of Object.entries(update)) {
+    merged[field] = isPlainObject(value) && isPlainObject(stored[field]) ? { ...stored[field], ...value } : value;
+  }
+  return merged;
 }
 
-async function saveData(data) {
-  await Storage.save(KEY, data);
+/** The entry for one profile + game inside `data`, created on first use. */
+function entryFor(data, profileId, gameId) {
+  if (!data.profiles[profileId]) data.profiles[profileId] = {};
+  if (!data.profiles[profileId][gameId]) data.profiles[profileId][gameId] = makeDefault();
+  return data.profiles[profileId][gameId];
+}
+
+// ── Change events ──
+
+const events = createEmitter();
+
+// Writes from this tab are announced by the methods below, with details
+Storage.subscribe(KEY, ({ external }) => {
+  if (external) events.emit('progress-updated', { external: true });
+});
+
+function announce(profileId, gameId, progress) {
+  events.emit('progress-updated', { profileId, gameId, progress, external: false });
+  return progress;
 }
 
 export const ProgressManager = {
+  schemaVersion: VERSION,
+
+  on: events.on,
+
   async getGameProgress(profileId, gameId) {
     const data = await loadData();
     return data.profiles?.[profileId]?.[gameId] || makeDefault();
   },
 
   async updateGameProgress(profileId, gameId, updates) {
-    const data = await loadData();
-    if (!data.profiles[profileId]) data.profiles[profileId] = {};
-    if (!data.profiles[profileId][gameId]) data.profiles[profileId][gameId] = makeDefault();
-
-    Object.assign(data.profiles[profileId][gameId], updates);
-    data.profiles[profileId][gameId].lastPlayed = new Date().toISOString();
-
-    await saveData(data);
-    return data.profiles[profileId][gameId];
+    const progress = await mutate(data => {
+      const entry = entryFor(data, profileId, gameId);
+      const best = entry.bestLevel;
+      const { custom, ...rest } = updates;
+      Object.assign(entry, rest);
+      if (custom) entry.custom = mergeCustom(entry.custom, custom);
+      // A tab with stale state must never lower the best level
+      entry.bestLevel = Math.max(best, entry.bestLevel);
+      entry.lastPlayed = new Date().toISOString();
+      return entry;
+    });
+    return progress && announce(profileId, gameId, progress);
   },
 
+  /** Count one play of a game. `level`, if given, becomes the current level. */
   async recordSession(profileId, gameId, level) {
-    const progress = await this.getGameProgress(profileId, gameId);
-    progress.sessionsPlayed++;
-    progress.currentLevel = level;
-    if (level > progress.bestLevel) progress.bestLevel = level;
-    return this.updateGameProgress(profileId, gameId, progress);
+    const progress = await mutate(data => {
+      const entry = entryFor(data, profileId, gameId);
+      entry.sessionsPlayed++;
+      if (level !== undefined) {
+        entry.currentLevel = level;
+        if (level > entry.bestLevel) entry.bestLevel = level;
+      }
+      entry.lastPlayed = new Date().toISOString();
+      return entry;
+    });
+    return progress && announce(profileId, gameId, progress);
   },
 
   async getAllProgress(profileId) {
     const data = await loadData();
     return data.profiles?.[profileId] || {};
+  },
+
+  /** Forget everything a deleted profile played. Resolves to its games, for restoreProfile(). */
+  async removeProfile(profileId) {
+    const games = await mutate(data => {
+      const removed = data.profiles[profileId];
+      if (!removed) return;
+      delete data.profiles[profileId];
+      return removed;
+    });
+    if (games) events.emit('progress-updated', { external: false });
+    return games || null;
+  },
+
+  /** Undo removeProfile(). Anything played in between is merged, not lost. */
+  async restoreProfile(profileId, games) {
+    const ok = await mutate(data => {
+      const current = data.profiles[profileId] || (data.profiles[profileId] = {});
+      for (const [gameId, progress] of Object.entries(games)) {
+        current[gameId] = mergeGameProgress(current[gameId], progress);
+      }
+      return true;
+    });
+    if (ok) events.emit('progress-updated', { external: false });
+    return ok === true;
+  },
+
+  /** The whole progress blob, for backups. */
+  async exportData() {
+    return loadData();
+  },
+
+  /**
+   * Bring in a progress blob from a backup.
+   * 'merge' combines game by game (see mergeGameProgress);
+   * 'replace' swaps everything. Returns false if the save was refused.
+   */
+  async importData(incoming, mode = 'merge') {
+    const restored = upgrade(incoming);
+    if (!restored) return false;
+    const ok = await mutate(data => {
+      if (mode === 'replace') {
+        data.profiles = restored.profiles;
+        return true;
+      }
+      for (const [profileId, games] of Object.entries(restored.profiles)) {
+        const current = data.profiles[profileId] || (data.profiles[profileId] = {});
+        for (const [gameId, progress] of Object.entries(games)) {
+          current[gameId] = mergeGameProgress(current[gameId], progress);
+        }
+      }
+      return true;
+    });
+    if (ok) events.emit('progress-updated', { external: false });
+    return ok === true;
   }
 };
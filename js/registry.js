@@ -21,9 +21,46 @@
  *   category: string,            - Category key
  *   thumbnail: string,           - Emoji or image path
  *   description: string,         - Short description
- *   ageRange: [min, max],        - Recommended ages
- *   init(container, callbacks),  - Mount game into container
- *   destroy()                    - Tear down and clean up
+ *   ageRange: [min, max],        - Optional. Recommended ages; the menu
+ *                                  highlights games that fit the player's
+ *                                  age and fades the rest
+ *   init(container, callbacks),  - Mount game into container. If this, or
+ *                                  any other hook, throws, the platform
+ *                                  shows an "Oops" screen and rests the
+ *                                  game until the page is reloaded
+ *   destroy(),                   - Tear down and clean up
+ *   pause(), resume()            - Optional. The tab was hidden or the
+ *                                  tablet slept. callbacks.scheduler is
+ *                                  frozen for you; use pause() for what
+ *                                  it can't hold, like a drag in progress.
+ *                                  The platform mutes audio and shows a
+ *                                  "tap to continue" overlay in between
+ *   saveState()                  - Optional. Where the child is right now,
+ *                                  as plain JSON: the shuffled deck, the
+ *                                  question on screen, the pieces placed.
+ *                                  Asked after each round, on pause and
+ *                                  when the game closes (destroy() comes
+ *                                  right after, so read everything before
+ *                                  returning, even from a Promise). null
+ *                                  means there's nothing to come back to
+ *   restoreState(snapshot)       - Optional. The child's last saveState()
+ *                                  (see snapshots.js), awaited before
+ *                                  init(), which then picks up from it
+ *                                  instead of starting fresh. Ignore what
+ *                                  you don't recognise; if this throws,
+ *                                  the snapshot is dropped and the game
+ *                                  starts fresh. destroy() may follow
+ *                                  without an init() if the child leaves
+ *   onExternalProgress(progress) - Optional. Another tab saved progress
+ *                                  for this game; adopt it so this tab
+ *                                  doesn't save stale state over it.
+ *   stickers: { id: { emoji, label } }
+ *                                - Optional. Stickers this game can award
+ *                                  with callbacks.earnSticker(id); ids are
+ *                                  stable, the book keeps them forever
+ *   describeMiss(itemId, answer) - Optional. Plain words for a logged
+ *                                  wrong answer, e.g. "says 15 instead of
+ *                                  20 when counting by 5s"; null if unknown
  * }
  *
  * ─── CALLBACKS PROVIDED TO init() ───
@@ -31,7 +68,51 @@
  *   onExit: () => void,
  *   onProgress: (data) => Promise,
  *   getProgress: () => Promise<object>,
- *   profile: { id, name, avatar }
+ *   onAnswer: ({ itemId, answer, correct, attempt, responseMs, skills }) => Promise,
+ *                                  - Log one answer (see answers.js). itemId
+ *                                    names what was asked, stably across
+ *                                    sessions; attempt counts from 1;
+ *                                    responseMs is since the item appeared
+ *                                    or the previous try; skills are ids
+ *                                    from skills.js (first tries update
+ *                                    the child's mastery)
+ *   ask: (itemId, { skills?, attempt? }) => void
+ *   answer: (answer, correct) => number
+ *                                  - The usual way to call onAnswer: ask()
+ *                                    when an item appears (attempt: tries
+ *                                    already made, e.g. restored from a
+ *                                    snapshot), answer() for each try. The
+ *                                    platform counts tries and times them;
+ *                                    answer() returns this try's number
+ *   difficulty: (track, options?) => tracker
+ *                                  - Adaptive difficulty (see difficulty.js):
+ *                                    tracker.report(outcome) after each
+ *                                    round, tracker.recommend() →
+ *                                    'promote' | 'hold' | 'demote'
+ *   scheduler: { timeout, interval, frame, listen, cancel }
+ *                                  - Use instead of setTimeout/setInterval/
+ *                                    requestAnimationFrame and listeners on
+ *                                    document or window (see scheduler.js).
+ *                                    Frozen while paused, cancelled when the
+ *                                    game closes
+ *   params: { [name]: string }
+ *                                  - Query of the link that opened the game,
+ *                                    e.g. { mode: '5' } for
+ *                                    #/game/number-hop?mode=5
+ *   setParams: (params) => void
+ *                                  - Keep the link in step when the child
+ *                                    picks a mode, so it can be bookmarked
+ *   earnSticker: (id) => Promise<boolean>
+ *                                  - Award one of this game's stickers (see
+ *                                    stickers.js). Earning one again is a
+ *                                    harmless no-op; resolves true when new
+ *   onRoundComplete: () => boolean
+ *                                  - Call between rounds, after the finished
+ *                                    round is saved and before starting the
+ *                                    next. false means the child's screen
+ *                                    time is up: don't start another round,
+ *                                    the platform shows its goodbye screen
+ *   profile: { id, name, avatar, birthYear? }
  * }
  */
 
@@ -64,6 +145,13 @@ export const GameRegistry = {
     return this.getAll().filter(g => g.category === categoryId);
   },
 
+  /** True if `game` suits a child of `age`. Games without an ageRange, or an unknown age, always fit. */
+  fitsAge(game, age) {
+    if (age == null || !Array.isArray(game.ageRange)) return true;
+    const [min, max] = game.ageRange;
+    return age >= min && age <= max;
+  },
+
   /** Returns only categories that contain at least one registered game */
   getCategories() {
     return Array.from(categories.values()).filter(
@@ -0,0 +1,103 @@
+/**
+ * Hash Router
+ *
+ * Maps the URL hash onto the app's screens so the browser (and
+ * Android) Back button moves between screens instead of leaving the
+ * app, and any child-facing screen can be bookmarked:
+ *
+ *   #/menu
+ *   #/category/counting
+ *   #/game/number-hop?mode=5
+ *   #/players                  ← grown-up screens ask the parental gate first
+ *
+ *   Router.add('/category/:id', ({ id }, query) => renderCategory(id));
+ *   Router.start('/menu');          // render whatever the URL says now
+ *   Router.go('/game/number-hop');  // new history entry
+ *   Router.back('/menu');           // in-app back button
+ *
+ * Route handlers only render; they don't touch the URL. Each entry
+ * this router pushes remembers its depth, so back() knows whether
+ * there is an in-app screen to return to or whether the page was
+ * opened straight onto a deep link.
+ */
+
+const routes = [];   // [{ pattern: RegExp, names: string[], handler }]
+let fallback = '/menu';
+
+/** "/game/number-hop?mode=5" → { path: "/game/number-hop", query: { mode: "5" } } */
+function parse(hash) {
+  const [path, search = ''] = hash.replace(/^#/, '').split('?');
+  return { path: path || fallback, query: Object.fromEntries(new URLSearchParams(search)) };
+}
+
+function toHash(path, query = {}) {
+  const search = new URLSearchParams(query).toString();
+  return `#${path}${search ? `?${search}` : ''}`;
+}
+
+function dispatch() {
+  const { path, query } = parse(location.hash);
+  for (const { pattern, names, handler } of routes) {
+    const match = pattern.exec(path);
+    if (!match) continue;
+    const params = Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+    handler(params, query);
+    return;
+  }
+  console.error(`[Router] no route for "${path}", going to ${fallback}`);
+  Router.replace(fallback);
+}
+
+function depth() {
+  return history.state?.depth ?? 0;
+}
+
+export const Router = {
+  /** Register a route. `:name` segments become params, e.g. '/game/:id'. */
+  add(path, handler) {
+    const names = [];
+    const source = path.replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    routes.push({ pattern: new RegExp(`^${source}$`), names, handler });
+  },
+
+  /** Start listening and render the screen for the current URL (or `home` if there is none). */
+  start(home = '/menu') {
+    fallback = home;
+    window.addEventListener('hashchange', dispatch);
+    if (!location.hash) history.replaceState({ depth: 0 }, '', toHash(home));
+    dispatch();
+  },
+
+  /** Go to a screen, adding a history entry. Going to the current screen just re-renders it. */
+  go(path, query) {
+    const hash = toHash(path, query);
+    if (hash !== location.hash) history.pushState({ depth: depth() + 1 }, '', hash);
+    dispatch();
+  },
+
+  /** Go to a screen in place of the current history entry (redirects). */
+  replace(path, query) {
+    history.replaceState({ depth: depth() }, '', toHash(path, query));
+    dispatch();
+  },
+
+  /** Like the browser's Back button, or `fallback` when this screen was opened directly. */
+  back(fallbackPath = fallback) {
+    if (depth() > 0) history.back();
+    else this.replace(fallbackPath);
+  },
+
+  /** Update the current URL's query without re-rendering, e.g. a game's mode. */
+  setQuery(query) {
+    const { path } = parse(location.hash);
+    history.replaceState(history.state, '', toHash(path, query));
+  },
+
+  /** { path, query } for the current URL. */
+  current() {
+    return parse(location.hash);
+  },
+};
@@ -0,0 +1,138 @@
+/**
+ * Game Scheduler
+ *
+ * One per game launch, handed to the game as callbacks.scheduler.
+ * Everything a game schedules or listens for outside its own DOM goes
+ * through it, so the platform can freeze it all when the game is
+ * paused and cancel it all when the game is closed. Games no longer
+ * need `if (this._destroyed) return;` in their delayed callbacks.
+ *
+ *   const s = callbacks.scheduler;
+ *   s.timeout(() => this._startRound(), 2800);
+ *   s.interval(() => this._tick(), 1000);
+ *   s.frame(() => this._positionFrog());
+ *   const h = s.listen(document, 'pointermove', onMove);
+ *   s.cancel(h);
+ *
+ * The platform calls pause() / resume() (see app.js) and cancelAll()
+ * right after the game's destroy(). While paused, timeouts and
+ * intervals keep the time they had left, animation frames wait, and
+ * listeners ignore their events. After cancelAll() the scheduler is
+ * closed: anything a late callback asks for is ignored and gets a
+ * null handle.
+ */
+
+function createScheduler() {
+  const tasks = new Map();   // handle → task (see the kinds below)
+  let nextHandle = 1;
+  let paused = false;
+  let closed = false;
+
+  // Start (or restart after a pause) one task
+  const arm = (handle, task) => {
+    switch (task.kind) {
+      case 'timeout':
+      case 'interval':
+        task.startedAt = Date.now();
+        task.id = setTimeout(() => {
+          if (task.kind === 'timeout') tasks.delete(handle);
+          else task.remaining = task.every;   // next tick, a full period away
+          try {
+            task.fn();
+          } finally {
+            // Re-arm even if fn threw, so one bad tick doesn't stop the interval
+            if (task.kind === 'interval' && tasks.has(handle) && !paused) arm(handle, task);
+          }
+        }, task.remaining);
+        break;
+      case 'frame':
+        task.id = requestAnimationFrame(() => {
+          tasks.delete(handle);
+          task.fn();
+        });
+        break;
+    }
+  };
+
+  const disarm = (task) => {
+    if (task.kind === 'frame') cancelAnimationFrame(task.id);
+    else if (task.kind === 'listener') task.target.removeEventListener(task.type, task.handler, task.options);
+    else clearTimeout(task.id);
+  };
+
+  const add = (task) => {
+    if (closed) return null;
+    const handle = nextHandle++;
+    tasks.set(handle, task);
+    if (!paused) arm(handle, task);   // listeners are live already; arm() skips them
+    return handle;
+  };
+
+  return {
+    /** Like setTimeout. Returns a handle for cancel(). */
+    timeout(fn, ms = 0) {
+      return add({ kind: 'timeout', fn, remaining: ms, startedAt: 0, id: null });
+    },
+
+    /** Like setInterval. */
+    interval(fn, ms) {
+      return add({ kind: 'interval', fn, every: ms, remaining: ms, startedAt: 0, id: null });
+    },
+
+    /** Like requestAnimationFrame. */
+    frame(fn) {
+      return add({ kind: 'frame', fn, id: null });
+    },
+
+    /** addEventListener on something outside the game's container (document, window). */
+    listen(target, type, fn, options) {
+      if (closed) return null;
+      const handler = (e) => {
+        if (!paused) fn(e);
+      };
+      target.addEventListener(type, handler, options);
+      return add({ kind: 'listener', target, type, handler, options });
+    },
+
+    cancel(handle) {
+      const task = tasks.get(handle);
+      if (!task) return;
+      disarm(task);
+      tasks.delete(handle);
+    },
+
+    /** Freeze everything, keeping the time each timer had left. */
+    pause() {
+      if (paused) return;
+      paused = true;
+      for (const task of tasks.values()) {
+        if (task.kind === 'listener') continue;
+        disarm(task);
+        if (task.kind !== 'frame') task.remaining = Math.max(0, task.remaining - (Date.now() - task.startedAt));
+      }
+    },
+
+    resume() {
+      if (!paused) return;
+      paused = false;
+      for (const [handle, task] of tasks) {
+        if (task.kind !== 'listener') arm(handle, task);
+      }
+    },
+
+    /** Cancel every timer and remove every listener, and close the scheduler. */
+    cancelAll() {
+      closed = true;
+      for (const task of tasks.values()) disarm(task);
+      tasks.clear();
+    },
+
+    get paused() {
+      return paused;
+    },
+  };
+}
+
+export const Scheduler = {
+  create: createScheduler,
+};
@@ -0,0 +1,110 @@
+/**
+ * Screen Time
+ *
+ * Per-profile daily play budget and bedtime window, set by a grown-up
+ * on the Manage Players screen. The platform asks status() before a
+ * game launches and while it runs; games never see the numbers.
+ *
+ *   const time = await ScreenTime.status(profile);
+ *   // { state: 'ok' | 'winding-down' | 'over', reason: 'limit' | 'bedtime' | null, remainingMs }
+ *
+ * Profile fields (see profile.js):
+ *   dailyLimitMin: number | null            active play per day, from sessions.js
+ *   bedtime: { from: "19:30", to: "07:00" } | null   local times; may span midnight
+ *
+ * "winding-down" starts WIND_DOWN_MS before time runs out. The app
+ * then lets the child finish a couple more rounds instead of cutting
+ * a game off mid-answer (see callbacks.onRoundComplete in registry.js).
+ *
+ * Once a wind-down has ended in time-up (a 'time-up' session today,
+ * see sessions.js), the rest of it counts as 'over': leaving the
+ * goodbye screen doesn't buy another couple of rounds.
+ *
+ * A grown-up can grant extra minutes from the goodbye screen. Extra
+ * time overrides both the limit and bedtime, and is kept in memory
+ * only: it ends when the page is closed.
+ */
+
+import { Sessions } from './sessions.js';
+
+const WIND_DOWN_MS = 3 * 60000;   // how early the "2 more rounds" notice appears
+const WIND_DOWN_ROUNDS = 2;
+const OVERTIME_MS = 5 * 60000;    // wind-down this long without a finished round → stop anyway
+
+const extensions = new Map();   // profileId → { since, until } from extend()
+
+function minutesOf(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+/** Milliseconds from `now` until bedtime starts; 0 while it's bedtime. */
+function msUntilBedtime({ from, to }, now) {
+  const d = new Date(now);
+  const minute = d.getHours() * 60 + d.getMinutes() + d.getSeconds() / 60;
+  const start = minutesOf(from);
+  const end = minutesOf(to);
+  const inWindow = start <= end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end;
+  if (inWindow) return 0;
+  return ((start - minute + 1440) % 1440) * 60000;
+}
+
+/**
+ * 'ok', 'winding-down' or 'over' with `remainingMs` left. A wind-down
+ * that already ended in time-up today (after `since`, when extra time
+ * was granted) is over.
+ */
+async function stateOf(profileId, remainingMs, since, now) {
+  if (remainingMs <= 0) return 'over';
+  if (remainingMs > WIND_DOWN_MS) return 'ok';
+  const today = new Date(now).toDateString();
+  const timedOut = (await Sessions.recent(profileId)).some(s => {
+    const endedAt = Date.parse(s.endedAt);
+    return s.reason === 'time-up' && endedAt > since && new Date(endedAt).toDateString() === today;
+  });
+  return timedOut ? 'over' : 'winding-down';
+}
+
+export const ScreenTime = {
+  windDownMs: WIND_DOWN_MS,
+  windDownRounds: WIND_DOWN_ROUNDS,
+  overtimeMs: OVERTIME_MS,
+
+  /** True if the profile has a daily limit or a bedtime set. */
+  hasLimits(profile) {
+    return Boolean(profile?.dailyLimitMin || profile?.bedtime);
+  },
+
+  /** Where `profile` stands right now. remainingMs is Infinity without limits, and 0 or less once over. */
+  async status(profile, now = Date.now()) {
+    const extra = extensions.get(profile.id);
+    if (extra?.until > now) {
+      const remainingMs = extra.until - now;
+      return { state: await stateOf(profile.id, remainingMs, extra.since, now), reason: 'limit', remainingMs };
+    }
+
+    let remainingMs = Infinity;
+    let reason = null;
+    if (profile.dailyLimitMin) {
+      remainingMs = profile.dailyLimitMin * 60000 - await Sessions.todayMs(profile.id);
+      reason = 'limit';
+    }
+    if (profile.bedtime) {
+      const untilBed = msUntilBedtime(profile.bedtime, now);
+      if (untilBed <= remainingMs) {
+        remainingMs = untilBed;
+        reason = 'bedtime';
+      }
+    }
+
+    return { state: await stateOf(profile.id, remainingMs, extra?.since ?? 0, now), reason, remainingMs };
+  },
+
+  /** Grown-up override: let `profile` play `ms` more from now, whatever the limits say. */
+  extend(profileId, ms) {
+    const now = Date.now();
+    extensions.set(profileId, { since: now, until: now + ms });
+  },
+};
@@ -0,0 +1,306 @@
+/**
+ * Play Sessions
+ *
+ * One session per game launch: when it started and ended, how long
+ * the child actually played, and why it ended. Time while the tab is
+ * hidden (switched away, screen locked) doesn't count as play.
+ * Active time is also added up per profile per day, which is what
+ * the dashboard and screen-time limits read.
+ *
+ *   Sessions.start(profileId, gameId);   // app.js, when a game launches
+ *   Sessions.end('exit');                // game's onExit, or 'navigate' / 'time-up' / 'closed'
+ *   await Sessions.todayMs(profileId);   // includes the session still running
+ *
+ * Data shape stored under key "sessions":
+ * {
+ *   version: 1,
+ *   profiles: {
+ *     "profile-id": {
+ *       days: { "YYYY-MM-DD": activeMs },
+ *       recent: [
+ *         { gameId, startedAt, endedAt, durationMs, activeMs, reason }
+ *       ],
+ *       open: {                  ← sessions still running, saved as they go
+ *         "session-id": { gameId, startedAt, savedAt, activeMs }
+ *       }
+ *     }
+ *   }
+ * }
+ *
+ * durationMs is wall-clock time; activeMs leaves out hidden time.
+ * Only the newest MAX_RECENT sessions and MAX_DAYS days are kept.
+ *
+ * A closing page can't be trusted to finish saving, so the running
+ * session is saved every FLUSH_MS and whenever the tab is hidden: its
+ * time goes into `days` straight away and the session itself waits in
+ * `open`. The next session to start moves any left behind by a closed
+ * page into `recent`, ended at their last save, with reason 'closed'.
+ * Each page holds a Web Lock while its session runs, which is how the
+ * others tell it apart from a closed one (without Web Locks, an open
+ * session unsaved for STALE_MS is taken as closed).
+ */
+
+import { Storage, createStore, dropOlderHalf } from './storage.js';
+
+const KEY = 'sessions';
+const VERSION = 1;
+const MAX_RECENT = 100;
+const MAX_DAYS = 90;
+const FLUSH_MS = 60000;
+const STALE_MS = 6 * 3600000;
+const LOCK_PREFIX = 'amaragame:session:';
+
+/** Local calendar day, e.g. "2026-10-18". */
+function dayKey(time = Date.now()) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+const { load: loadData, mutate } = createStore(KEY, VERSION, 'Sessions', () => ({ profiles: {} }));
+
+function recordFor(data, profileId) {
+  const record = data.profiles[profileId] || (data.profiles[profileId] = { days: {}, recent: [] });
+  record.open ||= {};
+  return record;
+}
+
+/** Add `days` ({ day: ms }) to the record, keeping the newest MAX_DAYS. */
+function bank(record, days) {
+  for (const [day, ms] of Object.entries(days)) {
+    if (ms) record.days[day] = (record.days[day] || 0) + ms;
+  }
+  const keep = Object.keys(record.days).sort().slice(-MAX_DAYS);
+  record.days = Object.fromEntries(keep.map(day => [day, record.days[day]]));
+}
+
+function addRecent(record, session) {
+  record.recent.push(session);
+  if (record.recent.length > MAX_RECENT) record.recent.splice(0, record.recent.length - MAX_RECENT);
+}
+
+/** Move open sessions whose page has closed into `recent`. `live`: ids still running, or null if unknown. */
+function closeLeftBehind(record, live, now) {
+  for (const [id, open] of Object.entries(record.open)) {
+    if (live ? live.has(id) : now - Date.parse(open.savedAt) < STALE_MS) continue;
+    delete record.open[id];
+    addRecent(record, {
+      gameId: open.gameId,
+      startedAt: open.startedAt,
+      endedAt: open.savedAt,
+      durationMs: Date.parse(open.savedAt) - Date.parse(open.startedAt),
+      activeMs: open.activeMs,
+      reason: 'closed',
+    });
+  }
+}
+
+/** Ids of the sessions running in any page, or null if the browser can't tell. */
+async function liveSessionIds() {
+  if (typeof navigator === 'undefined' || !navigator.locks?.query) return null;
+  try {
+    const { held = [] } = await navigator.locks.query();
+    return new Set(held.map(lock => lock.name)
+      .filter(name => name?.startsWith(LOCK_PREFIX))
+      .map(name => name.slice(LOCK_PREFIX.length)));
+  } catch {
+    return null;
+  }
+}
+
+/** Hold the session's lock until the returned function is called, or the page goes away. */
+function holdLock(id) {
+  if (typeof navigator === 'undefined' || !navigator.locks) return () => {};
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  navigator.locks.request(LOCK_PREFIX + id, () => held).catch(() => {});
+  return release;
+}
+
+// When storage is full, drop the older half of every session list
+Storage.addPruner(KEY, dropOlderHalf(data => Object.values(data.profiles || {}).map(record => record.recent)), 0);
+
+// ── The running session ──
+
+let current = null;   // { id, profileId, gameId, startedAt, activeMs, visibleSince, days (not yet saved), release }
+let flushTimer = null;
+
+/** Bank the visible time since the last checkpoint into the running session. */
+function checkpoint() {
+  if (!current || current.visibleSince === null) return;
+  const now = Date.now();
+  const ms = now - current.visibleSince;
+  current.activeMs += ms;
+  const day = dayKey(now);
+  current.days[day] = (current.days[day] || 0) + ms;
+  current.visibleSince = now;
+}
+
+/** Save the running session so far, closing any a closed page left open. */
+async function flush() {
+  const session = current;
+  if (!session) return false;
+  // Take the unsaved days before waiting, so end() can't bank them a second time
+  checkpoint();
+  const days = session.days;
+  session.days = {};
+  const live = await liveSessionIds();
+
+  const ok = await mutate(data => {
+    const now = Date.now();
+    const record = recordFor(data, session.profileId);
+    bank(record, days);
+    closeLeftBehind(record, live && live.add(session.id), now);
+    if (session === current) {
+      record.open[session.id] = {
+        gameId: session.gameId,
+        startedAt: new Date(session.startedAt).toISOString(),
+        savedAt: new Date(now).toISOString(),
+        activeMs: session.activeMs,
+      };
+    }
+    return true;
+  });
+  return ok === true;
+}
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('visibilitychange', () => {
+    if (!current) return;
+    if (document.hidden) {
+      checkpoint();
+      current.visibleSince = null;
+      flush();
+    } else {
+      current.visibleSince = Date.now();
+    }
+  });
+}
+
+if (typeof window !== 'undefined') {
+  let closed = null;   // what pagehide ended, in case the page comes back from the back/forward cache
+  window.addEventListener('pagehide', () => {
+    closed = Sessions.getCurrent();
+    Sessions.end('closed');
+  });
+  // The game is still on screen, so it gets a new session
+  window.addEventListener('pageshow', (e) => {
+    if (e.persisted && closed && !current) Sessions.start(closed.profileId, closed.gameId);
+    closed = null;
+  });
+}
+
+export const Sessions = {
+  schemaVersion: VERSION,
+
+  /** Open a session for a game launch. Any session still open is ended first. */
+  start(profileId, gameId) {
+    if (current) this.end('navigate');
+    const now = Date.now();
+    const hidden = typeof document !== 'undefined' && document.hidden;
+    const id = `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    current = {
+      id, profileId, gameId, startedAt: now, activeMs: 0, visibleSince: hidden ? null : now, days: {},
+      release: holdLock(id),
+    };
+    flushTimer = setInterval(() => {
+      if (current?.visibleSince != null) flush();
+    }, FLUSH_MS);
+    flush();
+  },
+
+  /**
+   * Close the running session and save it. `reason` is 'exit' (the game's
+   * own back button), 'navigate' (the app moved on), 'time-up' (screen
+   * time ran out) or 'closed' (page closed). Resolves to the saved session, or null if none was open.
+   */
+  async end(reason = 'navigate') {
+    if (!current) return null;
+    checkpoint();
+    const { id, profileId, gameId, startedAt, activeMs, days, release } = current;
+    current.days = {};
+    current = null;
+    clearInterval(flushTimer);
+    release();
+
+    const endedAt = Date.now();
+    const session = {
+      gameId,
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt: new Date(endedAt).toISOString(),
+      durationMs: endedAt - startedAt,
+      activeMs,
+      reason,
+    };
+
+    const saved = await mutate(data => {
+      const record = recordFor(data, profileId);
+      bank(record, days);
+      delete record.open[id];
+      addRecent(record, session);
+      return session;
+    });
+    return saved || null;
+  },
+
+  /** { profileId, gameId } of the running session, or null. */
+  getCurrent() {
+    return current && { profileId: current.profileId, gameId: current.gameId };
+  },
+
+  /** Active play today, including the session still running. */
+  async todayMs(profileId) {
+    const data = await loadData();
+    const today = dayKey();
+    let ms = data.profiles[profileId]?.days[today] || 0;
+    if (current?.profileId === profileId) {
+      checkpoint();
+      ms += current.days[today] || 0;
+    }
+    return ms;
+  },
+
+  /** Active play per day for the last `count` days, oldest first: [{ day, ms }]. */
+  async daily(profileId, count = 7) {
+    const data = await loadData();
+    const days = data.profiles[profileId]?.days || {};
+    return Array.from({ length: count }, (_, i) => {
+      // Step calendar days, not 24-hour blocks, which skip or repeat a day across a DST change
+      const date = new Date();
+      date.setDate(date.getDate() - (count - 1 - i));
+      const day = dayKey(date);
+      return { day, ms: days[day] || 0 };
+    });
+  },
+
+  /** Newest last. */
+  async recent(profileId) {
+    const data = await loadData();
+    return data.profiles[profileId]?.recent || [];
+  },
+
+  /** Forget a deleted profile's sessions. Resolves to them, for restoreProfile(). */
+  async removeProfile(profileId) {
+    const record = await mutate(data => {
+      const removed = data.profiles[profileId];
+      if (!removed) return;
+      delete data.profiles[profileId];
+      return removed;
+    });
+    return record || null;
+  },
+
+  /** Undo removeProfile(). Time played in between is added to the restored days. */
+  async restoreProfile(profileId, record) {
+    const ok = await mutate(data => {
+      const now = data.profiles[profileId];
+      if (now) {
+        for (const [day, ms] of Object.entries(now.days)) record.days[day] = (record.days[day] || 0) + ms;
+        record.recent = [...record.recent, ...now.recent].slice(-MAX_RECENT);
+        record.open = { ...record.open, ...now.open };
+      }
+      data.profiles[profileId] = record;
+      return true;
+    });
+    return ok === true;
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * Skills & Mastery
+ *
+ * One vocabulary for what a child is learning, shared by every game.
+ * Games tag each answer with skill ids (callbacks.onAnswer({ skills }))
+ * and the platform keeps a mastery estimate per profile and skill, so
+ * "Feed the Monster level 3" and "Number Hop by 5s, level 2" roll up
+ * into "counts to 5 confidently, still learning to skip-count by 5".
+ *
+ * Skill ids are stable strings, e.g. "counting-to-10", "skip-count-5",
+ * "pattern-ab", "shape-triangle", "emotion-nervous". Each belongs to a
+ * registry category, which is how the menu shows a mastery meter.
+ *
+ * Estimator: an exponential moving average of first-try correctness.
+ * Every first try moves the estimate a quarter of the way toward 1
+ * (right) or 0 (wrong), so recent answers count most and one slip
+ * doesn't undo a week of good play. Retries don't count.
+ *
+ * Data shape stored under key "mastery":
+ * {
+ *   version: 1,
+ *   profiles: {
+ *     "profile-id": {
+ *       "skill-id": { level: 0–1, seen: number, updatedAt: ISO string }
+ *     }
+ *   }
+ * }
+ */
+
+import { createStore } from './storage.js';
+
+const KEY = 'mastery';
+const VERSION = 1;
+const RATE = 0.25;              // how far each first try moves the estimate
+const MASTERED = 0.8;           // level at which a skill counts as known
+
+// ── Taxonomy ──
+
+const SHAPES = ['circle', 'oval', 'square', 'rectangle', 'triangle', 'diamond', 'star', 'hexagon', 'heart', 'pentagon'];
+const EMOTIONS = ['happy', 'sad', 'angry', 'scared', 'surprised', 'excited', 'proud', 'nervous', 'silly', 'confused'];
+const PATTERNS = ['ab', 'aab', 'abb', 'aabb', 'abc', 'abbc'];
+
+const SKILLS = new Map([
+  ['counting-to-5',  { label: 'Counting to 5',  category: 'counting' }],
+  ['counting-to-10', { label: 'Counting to 10', category: 'counting' }],
+  ['skip-count-2',   { label: 'Counting by 2s', category: 'counting' }],
+  ['skip-count-5',   { label: 'Counting by 5s', category: 'counting' }],
+  ['skip-count-10',  { label: 'Counting by 10s', category: 'counting' }],
+  ...PATTERNS.map(p => [`pattern-${p}`, { label: `${p.toUpperCase()} patterns`, category: 'thinking' }]),
+  ...SHAPES.map(s => [`shape-${s}`, { label: `Shapes: ${s}`, category: 'thinking' }]),
+  ...EMOTIONS.map(e => [`emotion-${e}`, { label: `Feeling ${e}`, category: 'feelings' }]),
+]);
+
+export const Skills = {
+  /** { id, label, category } or null for an unknown id. */
+  get(id) {
+    const skill = SKILLS.get(id);
+    return skill ? { id, ...skill } : null;
+  },
+
+  byCategory(categoryId) {
+    return [...SKILLS.keys()].filter(id => SKILLS.get(id).category === categoryId);
+  },
+};
+
+// ── Persistence ──
+
+const { load: loadData, mutate } = createStore(KEY, VERSION, 'Mastery', () => ({ profiles: {} }));
+
+export const Mastery = {
+  schemaVersion: VERSION,
+  threshold: MASTERED,
+
+  /** Fold one first-try answer into each tagged skill's estimate. */
+  async record(profileId, skillIds, correct) {
+    if (!skillIds?.length) return null;
+    const updated = await mutate(data => {
+      const skills = data.profiles[profileId] || (data.profiles[profileId] = {});
+      for (const id of skillIds) {
+        const entry = skills[id] || (skills[id] = { level: 0, seen: 0, updatedAt: null });
+        entry.level += RATE * ((correct ? 1 : 0) - entry.level);
+        entry.seen++;
+        entry.updatedAt = new Date().toISOString();
+      }
+      return skills;
+    });
+    return updated || null;
+  },
+
+  /** { skillId: { level, seen, updatedAt } } for one profile. */
+  async getAll(profileId) {
+    const data = await loadData();
+    return data.profiles[profileId] || {};
+  },
+
+  /**
+   * Average level over the category's skills this child has practised,
+   * or null if they haven't tried any yet.
+   */
+  async categoryLevel(profileId, categoryId) {
+    const skills = await this.getAll(profileId);
+    const levels = Skills.byCategory(categoryId)
+      .filter(id => skills[id])
+      .map(id => skills[id].level);
+    return levels.length ? levels.reduce((a, b) => a + b, 0) / levels.length : null;
+  },
+
+  /** Forget a deleted profile's skills. Resolves to them, for restoreProfile(). */
+  async removeProfile(profileId) {
+    const skills = await mutate(data => {
+      const removed = data.profiles[profileId];
+      if (!removed) return;
+      delete data.profiles[profileId];
+      return removed;
+    });
+    return skills || null;
+  },
+
+  /** Undo removeProfile(). Skills practised in between keep their newer estimate. */
+  async restoreProfile(profileId, skills) {
+    const ok = await mutate(data => {
+      data.profiles[profileId] = { ...skills, ...data.profiles[profileId] };
+      return true;
+    });
+    return ok === true;
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * Game Snapshots
+ *
+ * Where each child left off inside each game: the shuffled deck, the
+ * puzzle on screen, the half-built picture. Progress (progress.js) is
+ * how far a child has come overall; a snapshot is the exact spot to
+ * pick up from next time.
+ *
+ * Games take part through saveState() / restoreState() (see
+ * registry.js); app.js asks for a snapshot at the end of each round,
+ * when the game is paused and when it closes, and hands it back
+ * before the next init().
+ *
+ *   await Snapshots.save(profileId, 'shape-builder', { buildIdx: 3, ... });
+ *   await Snapshots.get(profileId, 'shape-builder');   // the state, or null
+ *   await Snapshots.clear(profileId, 'shape-builder');
+ *   Snapshots.keep(profileId, 'shape-builder', game.saveState());
+ *
+ * keep() takes what saveState() returned, even a Promise, and saves
+ * or clears with it. A get() for the same game waits for it, so a
+ * game closed and opened again straight away picks up where it was.
+ *
+ * Data shape stored under key "snapshots":
+ * {
+ *   version: 1,
+ *   profiles: {
+ *     "profile-id": {
+ *       "game-id": { savedAt: ISO string, state: {} }   ← whatever the game's saveState() returned
+ *     }
+ *   }
+ * }
+ *
+ * Snapshots are a convenience: when storage is full they go before
+ * progress does (pruner priority 5), and a game just starts fresh.
+ */
+
+import { Storage, createStore } from './storage.js';
+
+const KEY = 'snapshots';
+const VERSION = 1;
+
+const { load: loadData, mutate } = createStore(KEY, VERSION, 'Snapshots', () => ({ profiles: {} }));
+
+const pending = new Map();   // "profileId/gameId" → the newest keep() still in flight
+
+// When storage is full, losing a place in a game is better than losing progress
+Storage.addPruner(KEY, data => (Object.keys(data?.profiles || {}).length ? null : undefined), 5);
+
+export const Snapshots = {
+  schemaVersion: VERSION,
+
+  /** The state a game last saved for this profile, or null. */
+  async get(profileId, gameId) {
+    await pending.get(`${profileId}/${gameId}`)?.catch(() => {});
+    const data = await loadData();
+    return data.profiles[profileId]?.[gameId]?.state ?? null;
+  },
+
+  /** Keep `state` (plain JSON) as this profile's place in the game. */
+  async save(profileId, gameId, state) {
+    const ok = await mutate(data => {
+      const games = data.profiles[profileId] || (data.profiles[profileId] = {});
+      games[gameId] = { savedAt: new Date().toISOString(), state };
+      return true;
+    });
+    return ok === true;
+  },
+
+  /**
+   * Save `state`, or clear if it is null, after any earlier keep() for
+   * the game. `state` may be a Promise of either; if it rejects,
+   * nothing changes and the returned Promise rejects with it.
+   */
+  keep(profileId, gameId, state) {
+    const key = `${profileId}/${gameId}`;
+    const before = pending.get(key)?.catch(() => {});   // in order, so an older state can't land last
+    const write = Promise.all([state, before]).then(([value]) => (value == null
+      ? this.clear(profileId, gameId)
+      : this.save(profileId, gameId, value)));
+    pending.set(key, write);
+    const done = () => { if (pending.get(key) === write) pending.delete(key); };
+    write.then(done, done);
+    return write;
+  },
+
+  /** Forget the place, so the game starts fresh next time. */
+  async clear(profileId, gameId) {
+    const ok = await mutate(data => {
+      if (!data.profiles[profileId]?.[gameId]) return;
+      delete data.profiles[profileId][gameId];
+      return true;
+    });
+    return ok === true;
+  },
+
+  /** Forget a deleted profile's snapshots. Resolves to them, for restoreProfile(). */
+  async removeProfile(profileId) {
+    const games = await mutate(data => {
+      const removed = data.profiles[profileId];
+      if (!removed) return;
+      delete data.profiles[profileId];
+      return removed;
+    });
+    return games || null;
+  },
+
+  /** Undo removeProfile(). A game played in between keeps its newer place. */
+  async restoreProfile(profileId, games) {
+    const ok = await mutate(data => {
+      data.profiles[profileId] = { ...games, ...data.profiles[profileId] };
+      return true;
+    });
+    return ok === true;
+  }
+};
@@ -0,0 +1,129 @@
+/**
+ * Sticker Book
+ *
+ * Lasting rewards that outlive the confetti. Each game lists the
+ * stickers it can give in its config (`stickers` in registry.js) and
+ * awards one with callbacks.earnSticker(id) when the child does
+ * something worth keeping: finishing a Shape Builder house, growing a
+ * row of five flowers, reaching level 3 in Number Hop.
+ *
+ *   Stickers.catalogue();                                  // every sticker any game offers
+ *   await Stickers.earn(profileId, 'shape-builder', 'house');   // true if it's new
+ *   await Stickers.place(profileId, 'shape-builder/house', 0, 0.4, 0.6);
+ *
+ * A sticker's key is "gameId/stickerId". Earned stickers start in the
+ * book's tray; the child drags them onto one of PAGES pages, and
+ * positions are kept as fractions of the page so they survive any
+ * screen size.
+ *
+ * Data shape stored under key "stickers":
+ * {
+ *   version: 1,
+ *   profiles: {
+ *     "profile-id": {
+ *       earned: { "game-id/sticker-id": ISO string },
+ *       placed: { "game-id/sticker-id": { page, x, y } }   ← x, y in 0–1
+ *     }
+ *   }
+ * }
+ */
+
+import { createStore } from './storage.js';
+import { GameRegistry } from './registry.js';
+
+const KEY = 'stickers';
+const VERSION = 1;
+const PAGES = 3;
+
+const { load: loadData, mutate } = createStore(KEY, VERSION, 'Stickers', () => ({ profiles: {} }));
+
+function bookFor(data, profileId) {
+  return data.profiles[profileId] || (data.profiles[profileId] = { earned: {}, placed: {} });
+}
+
+const clamp = v => Math.max(0, Math.min(1, Number(v) || 0));
+
+export const Stickers = {
+  schemaVersion: VERSION,
+  pages: PAGES,
+
+  /** Every sticker the registered games offer: [{ key, gameId, id, emoji, label }]. */
+  catalogue() {
+    return GameRegistry.getAll().flatMap(game =>
+      Object.entries(game.stickers || {}).map(([id, s]) => ({ key: `${game.id}/${id}`, gameId: game.id, id, ...s }))
+    );
+  },
+
+  /** One sticker by key, or null if no game offers it (any more). */
+  get(key) {
+    return this.catalogue().find(s => s.key === key) || null;
+  },
+
+  /** Award a sticker. Resolves to true the first time, false if already earned or unknown. */
+  async earn(profileId, gameId, stickerId) {
+    const key = `${gameId}/${stickerId}`;
+    if (!this.get(key)) {
+      console.error(`[Stickers] ${gameId} has no sticker "${stickerId}"`);
+      return false;
+    }
+    const isNew = await mutate(data => {
+      const book = bookFor(data, profileId);
+      if (book.earned[key]) return;
+      book.earned[key] = new Date().toISOString();
+      return true;
+    });
+    return isNew === true;
+  },
+
+  /** { earned, placed } for one profile. */
+  async getBook(profileId) {
+    const data = await loadData();
+    return data.profiles[profileId] || { earned: {}, placed: {} };
+  },
+
+  /** Stick an earned sticker on `page` at (x, y), fractions of the page size. */
+  async place(profileId, key, page, x, y) {
+    const ok = await mutate(data => {
+      const book = bookFor(data, profileId);
+      if (!book.earned[key]) return;
+      book.placed[key] = { page: Math.max(0, Math.min(PAGES - 1, page)), x: clamp(x), y: clamp(y) };
+      return true;
+    });
+    return ok === true;
+  },
+
+  /** Peel a sticker off its page, back into the tray. */
+  async unplace(profileId, key) {
+    const ok = await mutate(data => {
+      const book = bookFor(data, profileId);
+      if (!book.placed[key]) return;
+      delete book.placed[key];
+      return true;
+    });
+    return ok === true;
+  },
+
+  /** Forget a deleted profile's book. Resolves to it, for restoreProfile(). */
+  async removeProfile(profileId) {
+    const book = await mutate(data => {
+      const removed = data.profiles[profileId];
+      if (!removed) return;
+      delete data.profiles[profileId];
+      return removed;
+    });
+    return book || null;
+  },
+
+  /** Undo removeProfile(). Stickers earned in between are kept too. */
+  async restoreProfile(profileId, book) {
+    const ok = await mutate(data => {
+      const now = data.profiles[profileId];
+      data.profiles[profileId] = {
+        earned: { ...book.earned, ...now?.earned },
+        placed: { ...book.placed, ...now?.placed },
+      };
+      return true;
+    });
+    return ok === true;
+  }
+};
@@ -2,18 +2,35 @@
  * Storage Abstraction Layer
  *
  * All platform data flows through this module.
- * Currently backed by localStorage. To switch to a backend later,
- * replace the adapter via Storage.setAdapter(newAdapter).
+ * Backed by IndexedDB where the browser supports it, otherwise
+ * localStorage. To switch to a backend later, replace the adapter
+ * via Storage.setAdapter(newAdapter).
+ *
+ * If a save fails (storage full, private browsing), registered
+ * pruners get a chance to free space first, then the save is tried
+ * once more. If that doesn't help, the store at the bottom of the
+ * adapter chain is swapped for an in-memory one so play carries on
+ * (encryption and sync keep working on top of it), and
+ * Storage.getStatus().persistent turns false so the app can tell
+ * a grown-up that progress isn't being kept.
  *
  * Adapter contract:
  *   async save(key, data) → boolean
  *   async load(key) → object|null
  *   async remove(key) → boolean
+ *   async keys() → string[]
+ *   inner                      ← wrappers only (encryption.js, sync.js):
+ *                                the adapter they wrap, settable
+ *
+ * Managers don't call Storage directly for their blob; createStore()
+ * below gives each one the same versioned load / mutate pair.
  */
 
+import { Migrations } from './migrations.js';
+
 const PREFIX = 'amaragame_';
 
-class LocalStorageAdapter {
+export class LocalStorageAdapter {
   async save(key, data) {
     try {
       localStorage.setItem(PREFIX + key, JSON.stringify(data));
@@ -43,17 +60,530 @@ class LocalStorageAdapter {
       return false;
     }
   }
+
+  async keys() {
+    try {
+      const result = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const name = localStorage.key(i);
+        if (name && name.startsWith(PREFIX)) result.push(name.slice(PREFIX.length));
+      }
+      return result;
+    } catch (e) {
+      console.error('[Storage] keys failed:', e);
+      return [];
+    }
+  }
+}
+
+// ── IndexedDB ──
+// One object store holds the data (same keys as localStorage, minus the
+// prefix); a second "meta" store holds bookkeeping such as the one-time
+// migration marker, so it never shows up in keys().
+
+const DB_NAME    = 'amaragame';
+const DB_VERSION = 1;
+const DATA_STORE = 'data';
+const META_STORE = 'meta';
+
+/** Resolve an IDBRequest as a Promise. */
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export class IndexedDBAdapter {
+  constructor(db) {
+    this._db = db;
+  }
+
+  static async open() {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(DATA_STORE)) db.createObjectStore(DATA_STORE);
+      if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE);
+    };
+    return new IndexedDBAdapter(await promisify(req));
+  }
+
+  /** Run fn(store) in a transaction; resolves with fn's request result once committed. */
+  _run(storeName, mode, fn) {
+    return new Promise((resolve, reject) => {
+      const tx = this._db.transaction(storeName, mode);
+      let result;
+      const req = fn(tx.objectStore(storeName));
+      req.onsuccess = () => { result = req.result; };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async save(key, data) {
+    try {
+      await this._run(DATA_STORE, 'readwrite', store => store.put(data, key));
+      return true;
+    } catch (e) {
+      console.error('[Storage] save failed:', e);
+      return false;
+    }
+  }
+
+  async load(key) {
+    try {
+      const value = await this._run(DATA_STORE, 'readonly', store => store.get(key));
+      return value ?? null;
+    } catch (e) {
+      console.error('[Storage] load failed:', e);
+      return null;
+    }
+  }
+
+  async remove(key) {
+    try {
+      await this._run(DATA_STORE, 'readwrite', store => store.delete(key));
+      return true;
+    } catch (e) {
+      console.error('[Storage] remove failed:', e);
+      return false;
+    }
+  }
+
+  async keys() {
+    try {
+      return await this._run(DATA_STORE, 'readonly', store => store.getAllKeys());
+    } catch (e) {
+      console.error('[Storage] keys failed:', e);
+      return [];
+    }
+  }
+
+  /**
+   * Move every amaragame_* key from localStorage, once per browser.
+   * Keys already present in IndexedDB are left alone. Each key is
+   * removed from localStorage once IndexedDB has committed it, so no
+   * stale plain-text copy is left to be imported again (or read) later.
+   * After the marker is set, this only clears copies left by builds
+   * that imported without removing. Throws if anything fails, leaving
+   * the marker unset so the next boot retries the keys still there.
+   */
+  async importFromLocalStorage() {
+    const done = await this._run(META_STORE, 'readonly', store => store.get('migratedFromLocalStorage'));
+
+    const local = new LocalStorageAdapter();
+    for (const key of await local.keys()) {
+      const existing = await this._run(DATA_STORE, 'readonly', store => store.get(key));
+      if (existing === undefined) {
+        if (done) continue;   // written on a localStorage-only boot since: not ours to drop
+        const data = await local.load(key);
+        if (data === null) continue;   // unreadable: leave it where it is
+        await this._run(DATA_STORE, 'readwrite', store => store.put(data, key));
+      }
+      await local.remove(key);
+    }
+
+    if (!done) {
+      await this._run(META_STORE, 'readwrite', store =>
+        store.put(new Date().toISOString(), 'migratedFromLocalStorage')
+      );
+    }
+  }
+
+  /** Delete every plain-text amaragame_* key still in localStorage (e.g. once data is encrypted). */
+  async clearLocalStorageCopy() {
+    const local = new LocalStorageAdapter();
+    for (const key of await local.keys()) await local.remove(key);
+  }
+}
+
+/** Keeps data for this page load only — the last resort when nothing else can save. */
+export class MemoryAdapter {
+  constructor() {
+    this._data = new Map();
+  }
+
+  async save(key, data) {
+    this._data.set(key, structuredClone(data));
+    return true;
+  }
+
+  async load(key) {
+    return this._data.has(key) ? structuredClone(this._data.get(key)) : null;
+  }
+
+  async remove(key) {
+    this._data.delete(key);
+    return true;
+  }
+
+  async keys() {
+    return [...this._data.keys()];
+  }
 }
 
 let adapter = new LocalStorageAdapter();
 
+// ── Running out of space ──
+
+const pruners = [];               // [{ prune, priority }], lowest priority first
+const statusHandlers = new Set();
+let status = { persistent: true, reason: null };
+
+function setStatus(next) {
+  status = next;
+  statusHandlers.forEach(handler => {
+    try {
+      handler(status);
+    } catch (e) {
+      console.error('[Storage] status handler failed:', e);
+    }
+  });
+}
+
+/** The adapter that actually stores, under any wrappers, and the wrapper holding it. */
+function bottomOf(top) {
+  let parent = null;
+  let node = top;
+  while (node.inner) {
+    parent = node;
+    node = node.inner;
+  }
+  return { parent, bottom: node };
+}
+
+/**
+ * Copy whatever can still be read into memory and carry on from there.
+ * Only the bottom store is replaced, so wrappers keep doing their job.
+ */
+async function fallBackToMemory(reason) {
+  const { parent, bottom } = bottomOf(adapter);
+  if (bottom instanceof MemoryAdapter) return;
+  const memory = new MemoryAdapter();
+  for (const key of await bottom.keys()) {
+    const data = await bottom.load(key);
+    if (data !== null) await memory.save(key, data);
+  }
+  if (parent) parent.inner = memory;
+  else adapter = memory;
+  console.warn(`[Storage] progress is no longer persisted (${reason})`);
+  setStatus({ persistent: false, reason });
+}
+
+/**
+ * Give one pruner a go while `key` is being saved as `pending`.
+ * Resolves to the blob to save now (smaller, if the pruner trimmed the
+ * key being saved) or null if nothing was freed.
+ */
+async function runPruner({ key: pruneKey, trim }, key, pending) {
+  if (pruneKey === key) {
+    const smaller = trim(structuredClone(pending));
+    return smaller ? smaller : null;
+  }
+  // Another key goes through its own queue, but never waits for it:
+  // the write holding that key may be the one waiting on this key
+  const freed = await tryEnqueue(pruneKey, () => write(pruneKey, async () => {
+    const stored = await adapter.load(pruneKey);
+    if (stored === null) return false;
+    const smaller = trim(stored);
+    if (smaller === undefined) return false;
+    return smaller === null ? adapter.remove(pruneKey) : adapter.save(pruneKey, smaller);
+  }));
+  return freed ? pending : null;
+}
+
+/** Save, pruning, retrying and then falling back to memory if the backend refuses. */
+async function saveWithFallback(key, data) {
+  if (await adapter.save(key, data)) return true;
+
+  let pending = data;
+  for (const pruner of pruners) {
+    try {
+      const next = await runPruner(pruner, key, pending);
+      if (next === null) continue;
+      pending = next;
+      if (await adapter.save(key, pending)) return true;
+    } catch (e) {
+      console.error('[Storage] pruner failed:', e);
+    }
+  }
+
+  // Some failures pass (an aborted transaction, a busy disk)
+  if (await adapter.save(key, pending)) return true;
+
+  await fallBackToMemory('full');
+  return adapter.save(key, pending);
+}
+
+function localStorageWorks() {
+  try {
+    localStorage.setItem(PREFIX + '__probe', '1');
+    localStorage.removeItem(PREFIX + '__probe');
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// ── Per-key write queue ──
+// Writes to the same key run strictly one after another, so a
+// read-modify-write can't interleave with another write and lose it.
+// Where the Web Locks API exists the queue also spans browser tabs.
+// Reads wait for writes already queued in this tab, but don't hold
+// up the queue themselves. Storage.exclusive() work holds up every key.
+
+const queues = new Map();   // key → Promise of the last queued write
+let barrier = Promise.resolve();   // the last exclusive() task
+
+function withLock(key, task, ifAvailable = false) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    if (ifAvailable) {
+      return navigator.locks.request(`amaragame:${key}`, { ifAvailable }, lock => (lock ? task() : false));
+    }
+    return navigator.locks.request(`amaragame:${key}`, task);
+  }
+  return task();
+}
+
+function enqueue(key, task, ifAvailable = false) {
+  // An ifAvailable write comes from a save already past the barrier (see
+  // tryEnqueue), so it mustn't wait for an exclusive() queued behind that save
+  const ahead = ifAvailable ? [queues.get(key)] : [queues.get(key), barrier];
+  const run = Promise.all(ahead).then(() => withLock(key, task, ifAvailable));
+  const tail = run.catch(() => {});
+  queues.set(key, tail);
+  tail.then(() => { if (queues.get(key) === tail) queues.delete(key); });
+  return run;
+}
+
+/**
+ * Like enqueue(), but resolves false at once if `key` is busy here or in
+ * another tab. For pruning from inside a save: it skips the barrier too,
+ * since an exclusive() task queued during that save is waiting for it.
+ */
+function tryEnqueue(key, task) {
+  if (queues.has(key)) return Promise.resolve(false);
+  return enqueue(key, task, true);
+}
+
+// ── Change notifications ──
+// Subscribers hear about every write to their key, whether it came
+// from this tab or another one. Other tabs are told via
+// BroadcastChannel (or the localStorage "storage" event as a fallback).
+
+const subscribers = new Map();   // key → Set of handlers
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('amaragame') : null;
+
+function notify(key, external) {
+  const handlers = subscribers.get(key);
+  if (!handlers) return;
+  handlers.forEach(handler => {
+    try {
+      handler({ key, external });
+    } catch (e) {
+      console.error('[Storage] change handler failed:', e);
+    }
+  });
+}
+
+if (channel) {
+  channel.onmessage = (e) => notify(e.data.key, true);
+} else if (typeof window !== 'undefined') {
+  // Older browsers: localStorage fires "storage" in every other tab
+  window.addEventListener('storage', (e) => {
+    if (e.key && e.key.startsWith(PREFIX)) notify(e.key.slice(PREFIX.length), true);
+  });
+}
+
+/** Run a write and, if it went through, tell subscribers here and in other tabs. */
+async function write(key, task) {
+  const ok = await task();
+  if (ok) {
+    if (channel) channel.postMessage({ key });
+    notify(key, false);
+  }
+  return ok;
+}
+
 export const Storage = {
-  save: (key, data) => adapter.save(key, data),
-  load: (key) => adapter.load(key),
-  remove: (key) => adapter.remove(key),
+  save: (key, data) => enqueue(key, () => write(key, () => saveWithFallback(key, data))),
+
+  /** Waits for writes to `key` already queued in this tab, so it never reads behind them. */
+  load: (key) => Promise.all([queues.get(key), barrier]).then(() => adapter.load(key)),
+
+  remove: (key) => enqueue(key, () => write(key, () => adapter.remove(key))),
+  keys: () => adapter.keys(),
+
+  /**
+   * Atomic read-modify-write. `mutator(current)` receives the stored
+   * value (or null) and returns the value to save — or undefined to
+   * leave it alone. Updates to one key are serialized, so overlapping
+   * callers always see each other's changes.
+   * Resolves with the value now stored; rejects if it couldn't be saved.
+   */
+  update(key, mutator) {
+    return enqueue(key, async () => {
+      const current = await adapter.load(key);
+      const next = await mutator(current);
+      if (next === undefined) return current;
+      if (!await write(key, () => saveWithFallback(key, next))) {
+        throw new Error(`[Storage] could not save "${key}"`);
+      }
+      return next;
+    });
+  },
+
+  /**
+   * Run `task` with every key to itself, in this tab: writes already
+   * queued finish first, and reads and writes that come in meanwhile
+   * wait until it's done. For work that rewrites every key at once
+   * (encryption.js). `task` must use adapters directly: a Storage call
+   * from inside it would wait for itself.
+   */
+  exclusive(task) {
+    const run = Promise.all([barrier, ...queues.values()]).then(task);
+    barrier = run.catch(() => {});
+    return run;
+  },
+
+  /**
+   * Call handler({ key, external }) after every write to `key`.
+   * `external` is true when the write happened in another tab.
+   * Returns an unsubscribe function.
+   */
+  subscribe(key, handler) {
+    if (!subscribers.has(key)) subscribers.set(key, new Set());
+    subscribers.get(key).add(handler);
+    return () => subscribers.get(key)?.delete(handler);
+  },
+
+  /**
+   * Pick the best available backend. Call once at boot, before any
+   * other Storage call. Falls back to localStorage if IndexedDB is
+   * missing or refuses to open (e.g. some private-browsing modes).
+   */
+  async init() {
+    if (typeof indexedDB !== 'undefined') {
+      try {
+        const idb = await IndexedDBAdapter.open();
+        await idb.importFromLocalStorage();
+        adapter = idb;
+        return;
+      } catch (e) {
+        console.warn('[Storage] IndexedDB unavailable, using localStorage:', e);
+      }
+    }
+    if (!localStorageWorks()) await fallBackToMemory('unavailable');
+  },
+
+  /**
+   * Register a way to free space under `key`, tried in priority order
+   * (lowest first) when a save fails. `trim(data)` gets the stored
+   * blob and returns a smaller one, null to drop the key altogether,
+   * or undefined if there's nothing to free. It runs in the key's
+   * write queue, so it can't race the key's own writes. Old logs
+   * should use priority 0 so they go before anything else.
+   */
+  addPruner(key, trim, priority = 10) {
+    pruners.push({ key, trim, priority });
+    pruners.sort((a, b) => a.priority - b.priority);
+  },
+
+  /** { persistent, reason } — reason is 'full' or 'unavailable' when not persistent. */
+  getStatus() {
+    return status;
+  },
+
+  /** Call handler(status) when saving stops being persistent. Returns an unsubscribe function. */
+  onStatusChange(handler) {
+    statusHandlers.add(handler);
+    return () => statusHandlers.delete(handler);
+  },
+
+  /** The backend currently in use (e.g. to wrap it in another adapter) */
+  getAdapter() {
+    return adapter;
+  },
 
   /** Replace the storage backend (e.g. with a REST API adapter) */
   setAdapter(newAdapter) {
     adapter = newAdapter;
   }
 };
+
+// ── Versioned stores ──
+
+/**
+ * The load / change / save plumbing every manager needs for its one
+ * versioned blob (see migrations.js). `empty()` is the blob's shape
+ * before anything is saved, minus `version`; `label` tags log lines.
+ *
+ *   const { load, mutate } = createStore('answers', 1, 'Answers', () => ({ profiles: {} }));
+ *   const data = await load();                          // upgraded, never null
+ *   const row = await mutate(data => { ...; return row; });
+ *
+ * mutate(fn) is atomic: `fn(data)` edits the blob in place and its
+ * return value is passed back. Returning undefined means "nothing
+ * changed", and nothing is saved. Resolves to undefined whenever
+ * nothing was saved: fn changed nothing, the data came from a newer
+ * app version or couldn't be upgraded, or storage refused the write.
+ */
+export function createStore(key, version, label, empty) {
+  /** The blob in the current shape, or null if it can't be upgraded (see Migrations.tryRun). */
+  function upgrade(stored) {
+    if (!stored) return { version, ...empty() };
+    return Migrations.tryRun(key, stored, version);
+  }
+
+  return {
+    upgrade,
+
+    /** A blob that can't be read or upgraded reads as empty, and is left alone on disk. */
+    async load() {
+      try {
+        return upgrade(await Storage.load(key)) ?? { version, ...empty() };
+      } catch (e) {
+        console.error(`[${label}] could not read:`, e);
+        return { version, ...empty() };
+      }
+    },
+
+    async mutate(fn) {
+      let result;
+      try {
+        await Storage.update(key, stored => {
+          if (Migrations.isNewer(stored, version)) {
+            console.error(`[${label}] data is version ${stored.version}, this app only knows ${version}; not saving`);
+            return undefined;
+          }
+          const data = upgrade(stored);
+          if (!data) return undefined;
+          result = fn(data);
+          return result === undefined ? undefined : data;
+        });
+      } catch (e) {
+        console.error(`[${label}] save failed:`, e);
+        return undefined;
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * A pruner for logs: drops the older half of every list `listsOf(data)`
+ * returns. Use as Storage.addPruner(KEY, dropOlderHalf(data => [...]), 0).
+ */
+export function dropOlderHalf(listsOf) {
+  return data => {
+    let freed = false;
+    for (const list of data ? listsOf(data) : []) {
+      if (!Array.isArray(list) || list.length < 2) continue;
+      list.splice(0, Math.floor(list.length / 2));
+      freed = true;
+    }
+    return freed ? data : undefined;
+  };
+}
@@ -0,0 +1,268 @@
+/**
+ * Backend Sync Adapter
+ *
+ * A storage adapter that keeps working offline. Every write lands in
+ * a local adapter first (so the game never waits on the network) and
+ * the key is queued. The queue is replayed whenever the connection
+ * is back: the server copy is fetched, merged with the local copy,
+ * and the merged result is written to both sides.
+ *
+ * Usage (see SYNC_URL in app.js):
+ *   const sync = new ApiAdapter({ baseUrl: 'http://localhost:8787', local: Storage.getAdapter() });
+ *   Storage.setAdapter(sync);
+ *   sync.start();
+ *
+ * Server contract (tools/mock-sync-server.js implements it):
+ *   GET    /data/:key  → 200 JSON blob | 404
+ *   PUT    /data/:key  ← JSON blob     → 204
+ *   DELETE /data/:key                  → 204
+ *
+ * Conflicts are resolved per key by RESOLVERS below. Progress is
+ * merged per profile and game: the higher bestLevel and the later
+ * lastPlayed win. Players from either side are kept unless deleted
+ * on either side (profile.js records when). Anything without a
+ * resolver keeps the local copy.
+ *
+ * Merges go through Storage.update(), so they can't overwrite a write
+ * made while the server was answering, and subscribers hear about
+ * them like any other write. The adapter must therefore be the one
+ * Storage uses (Storage.setAdapter(sync)).
+ */
+
+import { Storage, LocalStorageAdapter } from './storage.js';
+import { mergeGameProgress } from './progress.js';
+
+const QUEUE_KEY = 'sync_queue';
+const REQUEST_TIMEOUT = 8000;   // ms before a request counts as offline
+
+// ── Conflict resolvers: (local, remote) → merged ──
+
+function newerVersionWins(local, remote) {
+  if ((remote.version ?? 0) > (local.version ?? 0)) return remote;
+  if ((local.version ?? 0) > (remote.version ?? 0)) return local;
+  return null;
+}
+
+const RESOLVERS = {
+  progress(local, remote) {
+    const byVersion = newerVersionWins(local, remote);
+    if (byVersion) return byVersion;
+
+    const merged = { ...local, profiles: { ...remote.profiles } };
+    for (const [profileId, games] of Object.entries(local.profiles || {})) {
+      const target = merged.profiles[profileId] = { ...merged.profiles[profileId] };
+      for (const [gameId, progress] of Object.entries(games)) {
+        target[gameId] = mergeGameProgress(target[gameId], progress);
+      }
+    }
+    return merged;
+  },
+
+  profiles(local, remote) {
+    const byVersion = newerVersionWins(local, remote);
+    if (byVersion) return byVersion;
+
+    // Players added on either device survive and this device's edits
+    // win, but a deletion on either device wins over an older copy
+    const profiles = { ...remote.profiles, ...local.profiles };
+    const deleted = { ...remote.deleted };
+    for (const [id, at] of Object.entries(local.deleted || {})) {
+      if (!deleted[id] || Date.parse(at) > Date.parse(deleted[id])) deleted[id] = at;
+    }
+    for (const [id, at] of Object.entries(deleted)) {
+      if (!profiles[id]) continue;
+      if (Date.parse(profiles[id].restoredAt) > Date.parse(at)) delete deleted[id];
+      else delete profiles[id];
+    }
+    const active = local.active ?? remote.active ?? null;
+    return { ...local, profiles, deleted, active: profiles[active] ? active : null };
+  },
+};
+
+function resolve(key, local, remote) {
+  if (local === null) return remote;
+  if (remote === null) return local;
+  const resolver = RESOLVERS[key];
+  return resolver ? resolver(local, remote) : local;
+}
+
+function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+export class ApiAdapter {
+  constructor({ baseUrl, local = new LocalStorageAdapter() }) {
+    this._baseUrl = baseUrl.replace(/\/$/, '');
+    this._local = local;
+    this._flushing = null;
+    this._queueEdits = Promise.resolve();   // see _editQueue
+    this._onOnline = () => this.flush();
+  }
+
+  // ── Adapter contract (local-first) ──
+
+  /** The local adapter; storage.js swaps it for memory if it fills up. */
+  get inner() {
+    return this._local;
+  }
+
+  set inner(adapter) {
+    this._local = adapter;
+  }
+
+  async save(key, data) {
+    const ok = await this._local.save(key, data);
+    await this._enqueue('save', key);
+    this.flush();
+    return ok;
+  }
+
+  async load(key) {
+    return this._local.load(key);
+  }
+
+  async remove(key) {
+    const ok = await this._local.remove(key);
+    await this._enqueue('remove', key);
+    this.flush();
+    return ok;
+  }
+
+  async keys() {
+    return (await this._local.keys()).filter(k => k !== QUEUE_KEY);
+  }
+
+  // ── Sync lifecycle ──
+
+  /** Pull the server's copy of every local key, then replay the queue on each reconnect. */
+  start() {
+    window.addEventListener('online', this._onOnline);
+    return this.pull().then(() => this.flush());
+  }
+
+  stop() {
+    window.removeEventListener('online', this._onOnline);
+  }
+
+  /**
+   * Merge the server's copy of each key into local storage.
+   * Keys whose merged value differs from the server are queued for upload.
+   */
+  async pull(keys) {
+    if (!isOnline()) return false;
+    try {
+      for (const key of keys || await this.keys()) {
+        const remote = await this._request('GET', key);
+        const merged = await this._merge(key, remote);
+        if (merged === null) continue;
+        if (JSON.stringify(merged) !== JSON.stringify(remote)) await this._enqueue('save', key);
+      }
+      return true;
+    } catch (e) {
+      console.warn('[Sync] pull failed, will retry when online:', e);
+      return false;
+    }
+  }
+
+  /** Replay queued changes. Resolves true once the queue is empty. */
+  flush() {
+    if (!this._flushing) {
+      this._flushing = this._flushQueue().finally(() => { this._flushing = null; });
+    }
+    return this._flushing;
+  }
+
+  async _flushQueue() {
+    if (!isOnline()) return false;
+
+    let queue = await this._loadQueue();
+    while (queue.length > 0) {
+      const { op, key, seq } = queue[0];
+      try {
+        if (op === 'remove') {
+          await this._request('DELETE', key);
+        } else {
+          const remote = await this._request('GET', key);
+          const merged = await this._merge(key, remote);
+          if (merged !== null && JSON.stringify(merged) !== JSON.stringify(remote)) {
+            await this._request('PUT', key, merged);
+          }
+        }
+      } catch (e) {
+        console.warn('[Sync] offline, keeping queue:', e);
+        return false;
+      }
+
+      // Saves made while this request was in flight may have re-queued the key
+      queue = await this._editQueue(current => current.filter(item => item.seq !== seq));
+    }
+    return true;
+  }
+
+  /**
+   * Merge `remote` into the local copy of `key` under Storage's lock for
+   * that key, saving only if something changed. Resolves to the merged
+   * value (null if neither side has one).
+   */
+  _merge(key, remote) {
+    return Storage.update(key, local => {
+      const merged = resolve(key, local, remote);
+      if (merged === null || JSON.stringify(merged) === JSON.stringify(local)) return undefined;
+      return merged;
+    });
+  }
+
+  // ── Queue ──
+
+  async _loadQueue() {
+    return await this._local.load(QUEUE_KEY) || [];
+  }
+
+  /**
+   * Load, change and save the queue as one step: `fn(queue)` returns
+   * the new queue. Edits run one after another (and across tabs where
+   * Web Locks exist), so two saves queuing different keys at once
+   * can't drop each other's entry. Resolves to the saved queue.
+   */
+  _editQueue(fn) {
+    const edit = async () => {
+      const queue = fn(await this._loadQueue());
+      await this._local.save(QUEUE_KEY, queue);
+      return queue;
+    };
+    const locked = typeof navigator !== 'undefined' && navigator.locks
+      ? () => navigator.locks.request(`amaragame:${QUEUE_KEY}`, edit)
+      : edit;
+    const run = this._queueEdits.then(locked);
+    this._queueEdits = run.catch(() => {});
+    return run;
+  }
+
+  /** Only the latest operation per key matters; values are read fresh at flush time. */
+  _enqueue(op, key) {
+    return this._editQueue(queue => [
+      ...queue.filter(item => item.key !== key),
+      { op, key, seq: Date.now() + Math.random() },
+    ]);
+  }
+
+  // ── HTTP ──
+
+  async _request(method, key, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+    try {
+      const res = await fetch(`${this._baseUrl}/data/${encodeURIComponent(key)}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+      if (method === 'GET' && res.status === 404) return null;
+      if (!res.ok) throw new Error(`${method} ${key} → HTTP ${res.status}`);
+      return method === 'GET' ? await res.json() : null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
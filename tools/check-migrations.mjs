@@ -0,0 +1,73 @@
+/**
+ * Migration Check
+ *
+ * Runs every registered upgrade step against the saved blobs in
+ * tools/fixtures/ and compares the result with what each fixture
+ * expects. Plain Node (20.19+), no dependencies.
+ *
+ *   node tools/check-migrations.mjs
+ *
+ * Fixture shape (one file per storage key):
+ * {
+ *   key: "profiles",
+ *   cases: [ { name, input: old blob, expected: blob after upgrading } ]
+ * }
+ *
+ * When you add a step, add a case for it. Exits non-zero on any mismatch.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { deepStrictEqual } from 'node:assert/strict';
+import { Migrations } from '../js/migrations.js';
+import { ProfileManager } from '../js/profile.js';
+import { ProgressManager } from '../js/progress.js';
+
+// Current version of every key the fixtures cover
+const TARGETS = {
+  profiles: ProfileManager.schemaVersion,
+  progress: ProgressManager.schemaVersion,
+};
+
+const dir = new URL('./fixtures/', import.meta.url);
+let failed = 0;
+
+function check(label, fn) {
+  try {
+    fn();
+    console.log(`  ok    ${label}`);
+  } catch (e) {
+    failed++;
+    console.log(`  FAIL  ${label}\n${e.message.replace(/^/gm, '        ')}`);
+  }
+}
+
+for (const file of (await readdir(dir)).filter(name => name.endsWith('.json')).sort()) {
+  const { key, cases } = JSON.parse(await readFile(new URL(file, dir), 'utf8'));
+  console.log(`${key} (→ v${TARGETS[key]})`);
+  for (const { name, input, expected } of cases) {
+    check(name, () => deepStrictEqual(Migrations.run(key, input, TARGETS[key]).data, expected));
+  }
+}
+
+console.log('missing steps');
+check('run() throws', () => {
+  let threw = false;
+  try {
+    Migrations.run('no-such-key', {}, 1);
+  } catch (_) {
+    threw = true;
+  }
+  if (!threw) throw new Error('expected an error');
+});
+check('tryRun() reports and resolves to null', () => {
+  let heard = null;
+  Migrations.onFailure((_, key) => { heard = key; });
+  const original = console.error;
+  console.error = () => {};
+  const result = Migrations.tryRun('no-such-key', {}, 1);
+  console.error = original;
+  deepStrictEqual({ result, heard }, { result: null, heard: 'no-such-key' });
+});
+
+console.log(failed ? `\n${failed} failed` : '\nall passed');
+process.exit(failed ? 1 : 0);
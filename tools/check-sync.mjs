@@ -0,0 +1,121 @@
+/**
+ * Sync Check
+ *
+ * Starts tools/mock-sync-server.js on a spare port and drives
+ * js/sync.js against it: saves made offline at the same moment all
+ * stay queued, the queue replays once the server is back, progress
+ * is merged rather than overwritten, and a player deleted on one
+ * device isn't brought back by another's copy. Plain Node (20.19+),
+ * no dependencies.
+ *
+ *   node tools/check-sync.mjs [port]      (default 8788)
+ *
+ * Exits non-zero on any failure.
+ */
+
+import { spawn } from 'node:child_process';
+import { deepStrictEqual } from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { Storage, MemoryAdapter } from '../js/storage.js';
+import { ApiAdapter } from '../js/sync.js';
+
+const port = Number(process.argv[2]) || 8788;
+const baseUrl = `http://localhost:${port}`;
+let failed = 0;
+
+async function check(label, fn) {
+  try {
+    await fn();
+    console.log(`  ok    ${label}`);
+  } catch (e) {
+    failed++;
+    console.log(`  FAIL  ${label}\n${e.message.replace(/^/gm, '        ')}`);
+  }
+}
+
+function startServer() {
+  const script = fileURLToPath(new URL('./mock-sync-server.js', import.meta.url));
+  const server = spawn(process.execPath, [script, String(port)], { stdio: ['ignore', 'pipe', 'inherit'] });
+  return new Promise((resolve, reject) => {
+    server.stdout.on('data', chunk => {
+      if (String(chunk).includes('Mock sync server on')) resolve(server);
+    });
+    server.on('exit', code => reject(new Error(`mock server exited (${code})`)));
+  });
+}
+
+const post = path => fetch(`${baseUrl}${path}`, { method: 'POST' });
+const dump = async () => (await fetch(`${baseUrl}/dump`)).json();
+
+const server = await startServer();
+try {
+  const local = new MemoryAdapter();
+  const sync = new ApiAdapter({ baseUrl, local });
+  Storage.setAdapter(sync);
+  const warn = console.warn;
+  console.warn = () => {};   // offline flushes are expected to complain
+
+  console.log('offline queue');
+  await post('/offline');
+  const keys = ['a', 'b', 'c', 'd', 'e'];
+  await Promise.all(keys.map(key => sync.save(key, { key })));
+  await check('saves at the same moment all stay queued', async () => {
+    deepStrictEqual((await local.load('sync_queue')).map(item => item.key).sort(), keys);
+  });
+
+  console.log('back online');
+  await post('/online');
+  await check('flush replays the whole queue', async () => {
+    deepStrictEqual(await sync.flush(), true);
+    deepStrictEqual(Object.keys(await dump()).sort(), keys);
+    deepStrictEqual(await local.load('sync_queue'), []);
+  });
+
+  console.log('merging');
+  await fetch(`${baseUrl}/data/progress`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ version: 1, profiles: { p1: { 'number-hop': { bestLevel: 5, sessionsPlayed: 9, lastPlayed: '2026-01-02T00:00:00.000Z' } } } }),
+  });
+  await sync.save('progress', { version: 1, profiles: { p1: { 'number-hop': { bestLevel: 3, sessionsPlayed: 2, lastPlayed: '2026-01-03T00:00:00.000Z' } } } });
+  await sync.flush();
+  await check('the higher best level survives on both sides', async () => {
+    deepStrictEqual((await dump()).progress.profiles.p1['number-hop'].bestLevel, 5);
+    deepStrictEqual((await local.load('progress')).profiles.p1['number-hop'].bestLevel, 5);
+  });
+
+  console.log('deleted players');
+  const player = (id, extra) => ({ id, name: id, avatar: '\u{1F984}', createdAt: '2026-01-01T00:00:00.000Z', ...extra });
+  await fetch(`${baseUrl}/data/profiles`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      version: 1,
+      active: 'p_gone',
+      profiles: { p_kept: player('p_kept'), p_gone: player('p_gone'), p_back: player('p_back') },
+      deleted: { p_back: '2026-01-04T00:00:00.000Z' },
+    }),
+  });
+  await sync.save('profiles', {
+    version: 1,
+    active: null,
+    profiles: { p_kept: player('p_kept'), p_back: player('p_back', { restoredAt: '2026-01-05T00:00:00.000Z' }) },
+    deleted: { p_gone: '2026-01-03T00:00:00.000Z' },
+  });
+  await sync.flush();
+  await check('a player deleted here stays deleted on both sides', async () => {
+    deepStrictEqual(Object.keys((await dump()).profiles.profiles).sort(), ['p_back', 'p_kept']);
+    deepStrictEqual(Object.keys((await local.load('profiles')).profiles).sort(), ['p_back', 'p_kept']);
+    deepStrictEqual((await dump()).profiles.active, null);
+  });
+  await check('a player put back after its deletion stays', async () => {
+    deepStrictEqual((await dump()).profiles.deleted, { p_gone: '2026-01-03T00:00:00.000Z' });
+  });
+
+  console.warn = warn;
+} finally {
+  server.kill();
+}
+
+console.log(failed ? `\n${failed} failed` : '\nall passed');
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,83 @@
+/**
+ * Mock Sync Server
+ *
+ * A tiny stand-in backend for js/sync.js, so sync can be tried
+ * without a real server. Plain Node, no dependencies; data lives in
+ * memory and is gone when the process stops.
+ *
+ *   node tools/mock-sync-server.js [port]      (default 8787)
+ *
+ * Then set SYNC_URL in js/app.js to http://localhost:8787.
+ *
+ * Routes:
+ *   GET    /data/:key   → stored JSON, or 404
+ *   PUT    /data/:key   → store the JSON body
+ *   DELETE /data/:key   → forget the key
+ *   POST   /offline     → answer every /data request with 503 (test the queue)
+ *   POST   /online      → back to normal
+ *   GET    /dump        → everything stored, for eyeballing
+ */
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8787;
+const store = new Map();
+let offline = false;
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+  });
+  res.end(body !== undefined ? JSON.stringify(body) : undefined);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try { resolve(JSON.parse(raw)); } catch (e) { reject(e); }
+    });
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  console.log(`${req.method} ${url.pathname}${offline ? ' (offline)' : ''}`);
+
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  if (req.method === 'POST' && url.pathname === '/offline') { offline = true;  return send(res, 204); }
+  if (req.method === 'POST' && url.pathname === '/online')  { offline = false; return send(res, 204); }
+  if (req.method === 'GET'  && url.pathname === '/dump')    return send(res, 200, Object.fromEntries(store));
+
+  const match = url.pathname.match(/^\/data\/([^/]+)$/);
+  if (!match) return send(res, 404, { error: 'not found' });
+  if (offline) return send(res, 503, { error: 'offline' });
+
+  const key = decodeURIComponent(match[1]);
+  switch (req.method) {
+    case 'GET':
+      return store.has(key) ? send(res, 200, store.get(key)) : send(res, 404, { error: 'not found' });
+    case 'PUT':
+      try {
+        store.set(key, await readBody(req));
+        return send(res, 204);
+      } catch (_) {
+        return send(res, 400, { error: 'body must be JSON' });
+      }
+    case 'DELETE':
+      store.delete(key);
+      return send(res, 204);
+    default:
+      return send(res, 405, { error: 'method not allowed' });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock sync server on http://localhost:${port}`);
+});